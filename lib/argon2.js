@@ -0,0 +1,197 @@
+/**
+ * Argon2 - Argon2id key derivation for encrypted MemoryFiles
+ * Runs argon2.wasm, the reference Argon2 implementation compiled to
+ * WebAssembly by argon2-browser 1.18.0 (MIT license, Copyright 2021 Antelle)
+ *
+ * tools/build-inline-wasm.js embeds argon2.wasm into argon2-inline.js
+ * for pages opened from file://. That file is generated, edit this one and
+ * rebuild. The WASM checksum and source are in docs/INLINE_WASM.md
+ */
+
+// Replaced with a data URI by tools/build-inline-wasm.js
+const ARGON2_WASM_FILE = "argon2.wasm";
+
+const ARGON2_TYPE_ID = 2;
+const ARGON2_VERSION = 0x13;
+
+// Largest heap emscripten builds allow: 2 GB minus one page
+const ARGON2_MAX_HEAP = 2147418112;
+
+class Argon2 {
+  constructor(instance) {
+    this.exports = instance.exports;
+    this.memory = instance.exports.c;
+  }
+
+  /**
+   * Load the WebAssembly module once per page
+   * @param {Object} config - { locateFile(file), wasmBinary }
+   *   wasmBinary skips fetching, e.g. bytes read with fs in Node
+   * @returns {Promise<Argon2>}
+   */
+  static load(config = {}) {
+    if (!Argon2.loading) {
+      Argon2.loading = Argon2.instantiate(config).catch((error) => {
+        Argon2.loading = null;
+        throw error;
+      });
+    }
+    return Argon2.loading;
+  }
+
+  static async instantiate(config) {
+    if (typeof WebAssembly === "undefined") {
+      throw new Error("WebAssembly not available");
+    }
+
+    const bytes = config.wasmBinary || (await Argon2.fetchWasm(config));
+
+    // The module is built with emscripten and imports two heap helpers
+    let argon2 = null;
+    const imports = {
+      a: {
+        // emscripten_memcpy_big
+        a: (dest, src, num) => {
+          argon2.heap().copyWithin(dest, src, src + num);
+        },
+        // emscripten_resize_heap
+        b: (requestedSize) => argon2.growHeap(requestedSize >>> 0),
+      },
+    };
+
+    const { instance } = await WebAssembly.instantiate(bytes, imports);
+    argon2 = new Argon2(instance);
+    argon2.exports.d(); // __wasm_call_ctors
+    return argon2;
+  }
+
+  static async fetchWasm(config) {
+    const file = ARGON2_WASM_FILE.startsWith("data:")
+      ? ARGON2_WASM_FILE
+      : config.locateFile
+      ? config.locateFile(ARGON2_WASM_FILE)
+      : ARGON2_WASM_FILE;
+
+    if (file.startsWith("data:")) {
+      const binary = atob(file.slice(file.indexOf(",") + 1));
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+
+    const response = await fetch(file);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${file}: ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  /**
+   * Derive a raw key with Argon2id
+   * @param {Object} params
+   * @param {string|Uint8Array} params.password
+   * @param {Uint8Array} params.salt - At least 8 bytes
+   * @param {number} params.iterations - Time cost (passes over memory)
+   * @param {number} params.memory - Memory cost in KiB
+   * @param {number} params.parallelism - Lanes, computed one after another here
+   * @param {number} params.hashLength - Key length in bytes (default 32)
+   * @returns {Uint8Array}
+   */
+  hash({ password, salt, iterations, memory, parallelism, hashLength = 32 }) {
+    const passwordBytes =
+      typeof password === "string"
+        ? new TextEncoder().encode(password)
+        : password;
+
+    const passwordPtr = this.copyIn(passwordBytes);
+    const saltPtr = this.copyIn(salt);
+    const hashPtr = this.exports.f(hashLength); // malloc
+
+    try {
+      // argon2_hash(t, m, p, pwd, pwdlen, salt, saltlen, hash, hashlen,
+      //             encoded, encodedlen, type, version)
+      const result = this.exports.e(
+        iterations,
+        memory,
+        parallelism,
+        passwordPtr,
+        passwordBytes.length,
+        saltPtr,
+        salt.length,
+        hashPtr,
+        hashLength,
+        0,
+        0,
+        ARGON2_TYPE_ID,
+        ARGON2_VERSION
+      );
+
+      if (result !== 0) {
+        throw new Error(`Argon2 failed: ${this.errorMessage(result)}`);
+      }
+
+      return this.heap().slice(hashPtr, hashPtr + hashLength);
+    } finally {
+      // Clear the password from WebAssembly memory before freeing it
+      this.heap().fill(0, passwordPtr, passwordPtr + passwordBytes.length);
+      this.exports.g(passwordPtr); // free
+      this.exports.g(saltPtr);
+      this.exports.g(hashPtr);
+    }
+  }
+
+  /**
+   * Copy bytes into WebAssembly memory
+   * @returns {number} Pointer, free with exports.g
+   */
+  copyIn(bytes) {
+    const ptr = this.exports.f(Math.max(bytes.length, 1)); // malloc
+    this.heap().set(bytes, ptr);
+    return ptr;
+  }
+
+  errorMessage(code) {
+    const ptr = this.exports.i(code); // argon2_error_message
+    const heap = this.heap();
+    let end = ptr;
+    while (heap[end] !== 0) end++;
+    return new TextDecoder().decode(heap.subarray(ptr, end));
+  }
+
+  // Views must be recreated after the memory grows
+  heap() {
+    return new Uint8Array(this.memory.buffer);
+  }
+
+  growHeap(requestedSize) {
+    const pageSize = 65536;
+    const currentSize = this.memory.buffer.byteLength;
+    if (requestedSize > ARGON2_MAX_HEAP) {
+      return 0;
+    }
+
+    const newSize = Math.min(
+      ARGON2_MAX_HEAP,
+      Math.ceil(Math.max(requestedSize, currentSize * 1.2) / pageSize) *
+        pageSize
+    );
+    try {
+      this.memory.grow((newSize - currentSize) / pageSize);
+      return 1;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+Argon2.loading = null;
+
+// Export for both module and global usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Argon2;
+}
+if (typeof window !== "undefined") {
+  window.Argon2 = Argon2;
+}
@@ -0,0 +1,257 @@
+/**
+ * CommitHistoryViewer - Commit timeline panel for MemoryFile apps
+ * Reads the commit chain and offers restoring earlier versions
+ */
+
+class CommitHistoryViewer {
+  constructor(memoryFile, config = {}) {
+    this.memoryFile = memoryFile;
+    this.config = {
+      container: config.container || null,
+      position: config.position || "bottom-right",
+      title: config.title || "History",
+      showAll: config.showAll || false,
+      collapsed: config.collapsed !== false,
+      allowRestore: config.allowRestore !== false,
+      hashLength: config.hashLength || memoryFile.options.hashLength || 6,
+      getPassword:
+        config.getPassword ||
+        (() => window.prompt("Password for the saved version:")),
+      onRestore: config.onRestore || null,
+      ...config,
+    };
+
+    this.element = null;
+    this.expanded = !this.config.collapsed;
+
+    // Keep the panel out of the content hash of files saved with it
+    const trustManager =
+      this.config.trustManager || memoryFile.options.trustManager;
+    if (trustManager) {
+      trustManager.excludeSelector("#commit-history");
+    }
+  }
+
+  /**
+   * Commits to show, newest first
+   * Follows parent links from the current commit unless showAll is set
+   */
+  getCommits() {
+    return this.config.showAll
+      ? this.memoryFile.getHistory()
+      : this.memoryFile.getCommitChain();
+  }
+
+  /**
+   * Render the panel, replacing any earlier render
+   * Call again after commit() to show the new commit
+   */
+  render() {
+    const existing = document.getElementById("commit-history");
+    if (existing) {
+      existing.remove();
+    }
+
+    this.element = this.createPanelElement(this.getCommits());
+
+    const container =
+      typeof this.config.container === "string"
+        ? document.querySelector(this.config.container)
+        : this.config.container;
+
+    if (container) {
+      container.appendChild(this.element);
+    } else {
+      this.element.classList.add("commit-history-floating");
+      this.element.setAttribute("data-position", this.config.position);
+      document.body.appendChild(this.element);
+    }
+
+    this.attachListeners();
+    return this.element;
+  }
+
+  /**
+   * Create panel DOM element
+   */
+  createPanelElement(commits) {
+    const panel = document.createElement("div");
+    panel.id = "commit-history";
+    panel.className = "commit-history";
+    panel.classList.toggle("expanded", this.expanded);
+
+    panel.innerHTML = `
+      <div class="commit-history-header">
+        <span class="commit-history-title">${this.escapeHtml(
+          this.config.title
+        )}</span>
+        <span class="commit-history-count">${commits.length}</span>
+        <button class="commit-history-toggle" aria-label="Toggle history">${
+          this.expanded ? "✕" : "☰"
+        }</button>
+      </div>
+      <ol class="commit-history-timeline"${this.expanded ? "" : " hidden"}>
+        ${this.getTimelineContent(commits)}
+      </ol>
+    `;
+
+    return panel;
+  }
+
+  /**
+   * Timeline entries for each commit
+   */
+  getTimelineContent(commits) {
+    if (commits.length === 0) {
+      return '<li class="commit-history-empty">No commits yet</li>';
+    }
+
+    const currentHash = this.memoryFile.getCommitMetadata()?.commitHash;
+
+    return commits
+      .map((commit) => {
+        const isCurrent = commit.commitHash === currentHash;
+        const shortHash = commit.commitHash.slice(0, this.config.hashLength);
+        const restoreButton =
+          this.config.allowRestore && !isCurrent
+            ? `<button class="commit-history-restore" data-hash="${this.escapeHtml(
+                commit.commitHash
+              )}">Restore this version</button>`
+            : "";
+
+        return `
+          <li class="commit-history-entry${isCurrent ? " current" : ""}">
+            <div class="commit-history-message">${this.escapeHtml(
+              commit.commitMessage
+            )}</div>
+            <div class="commit-history-meta">
+              <code class="commit-history-hash" title="${this.escapeHtml(
+                commit.commitHash
+              )}">${this.escapeHtml(shortHash)}</code>
+              ${
+                commit.commitAuthor
+                  ? `<span class="commit-history-author">${this.escapeHtml(
+                      commit.commitAuthor
+                    )}</span>`
+                  : ""
+              }
+              <time datetime="${this.escapeHtml(
+                commit.commitDate
+              )}">${this.escapeHtml(this.formatDate(commit.commitDate))}</time>
+              ${
+                isCurrent
+                  ? '<span class="commit-history-current">current</span>'
+                  : ""
+              }
+            </div>
+            ${restoreButton}
+          </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Attach event listeners to panel
+   */
+  attachListeners() {
+    const panel = this.element;
+    const header = panel.querySelector(".commit-history-header");
+    const toggle = panel.querySelector(".commit-history-toggle");
+    const timeline = panel.querySelector(".commit-history-timeline");
+
+    header.addEventListener("click", () => {
+      this.expanded = timeline.hidden;
+      timeline.hidden = !this.expanded;
+      panel.classList.toggle("expanded", this.expanded);
+      toggle.textContent = this.expanded ? "✕" : "☰";
+    });
+
+    panel.querySelectorAll(".commit-history-restore").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        button.disabled = true;
+        try {
+          await this.restore(button.getAttribute("data-hash"));
+        } catch (error) {
+          window.alert(error.message);
+        } finally {
+          button.disabled = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Restore a commit from its saved file
+   * The history only stores metadata, so the user picks the file saved at
+   * that commit and its hash is checked before the database is replaced
+   * @returns {Promise<Object|null>} Restored commit metadata, null if cancelled
+   */
+  async restore(commitHash) {
+    const file = await this.pickFile();
+    if (!file) {
+      return null;
+    }
+
+    let restored;
+    try {
+      restored = await this.memoryFile.restoreVersion(file, { commitHash });
+    } catch (error) {
+      if (!error.message.startsWith("Password required")) {
+        throw error;
+      }
+      const password = await this.config.getPassword();
+      if (!password) {
+        return null;
+      }
+      restored = await this.memoryFile.restoreVersion(file, {
+        commitHash,
+        password,
+      });
+    }
+
+    this.render();
+    if (this.config.onRestore) {
+      this.config.onRestore(restored);
+    }
+    return restored;
+  }
+
+  /**
+   * Ask the user for a saved HTML file
+   * @returns {Promise<File|null>} Null if no file was chosen
+   */
+  pickFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".html,text/html";
+      input.addEventListener("change", () => resolve(input.files[0] || null));
+      input.addEventListener("cancel", () => resolve(null));
+      input.click();
+    });
+  }
+
+  formatDate(isoDate) {
+    const date = new Date(isoDate);
+    return isNaN(date) ? isoDate || "" : date.toLocaleString();
+  }
+
+  // Also escapes quotes, values are used in attributes
+  escapeHtml(str) {
+    return String(str == null ? "" : str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
+
+// Export for both module and global usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CommitHistoryViewer;
+}
+if (typeof window !== "undefined") {
+  window.CommitHistoryViewer = CommitHistoryViewer;
+}
@@ -0,0 +1,165 @@
+/**
+ * Diff Tests
+ * Tests for table-level diffs between MemoryFile snapshots
+ */
+
+async function registerDiffTests(runner) {
+  const { Assert } = window;
+
+  // Create a database with a notes table and return its exported bytes
+  async function createSnapshot(statements) {
+    const fusion = new HTMLSQLiteFusion({ encrypted: false });
+    await fusion.createDatabase(
+      "CREATE TABLE notes (id INTEGER PRIMARY KEY, title TEXT, body TEXT)"
+    );
+    for (const sql of statements) {
+      fusion.run(sql);
+    }
+    const bytes = fusion.exportDatabase();
+    fusion.close();
+    return bytes;
+  }
+
+  runner.describe("Diff", () => {
+    runner.test("should report added, removed and changed rows", async () => {
+      const before = await createSnapshot([
+        "INSERT INTO notes VALUES (1, 'One', 'a')",
+        "INSERT INTO notes VALUES (2, 'Two', 'b')",
+      ]);
+      const after = await createSnapshot([
+        "INSERT INTO notes VALUES (1, 'One', 'changed')",
+        "INSERT INTO notes VALUES (3, 'Three', 'c')",
+      ]);
+
+      const diff = await new MemoryFileDiff().compare(before, after);
+      const notes = diff.tables.notes;
+
+      Assert.assertEqual(notes.added.length, 1);
+      Assert.assertEqual(notes.added[0].id, 3);
+      Assert.assertEqual(notes.removed.length, 1);
+      Assert.assertEqual(notes.removed[0].id, 2);
+      Assert.assertEqual(notes.changed.length, 1);
+      Assert.assertObjectEqual(notes.changed[0].key, { id: 1 });
+      Assert.assertArrayEqual(notes.changed[0].columns, ["body"]);
+      Assert.assertEqual(notes.changed[0].before.body, "a");
+      Assert.assertEqual(notes.changed[0].after.body, "changed");
+      Assert.assertObjectEqual(diff.summary, {
+        added: 1,
+        removed: 1,
+        changed: 1,
+      });
+    });
+
+    runner.test("should omit unchanged tables", async () => {
+      const bytes = await createSnapshot([
+        "INSERT INTO notes VALUES (1, 'One', 'a')",
+      ]);
+
+      const diff = await new MemoryFileDiff().compare(bytes, bytes);
+
+      Assert.assertEqual(Object.keys(diff.tables).length, 0);
+      Assert.assertEqual(diff.schema.added.length, 0);
+      Assert.assertEqual(diff.schema.changed.length, 0);
+    });
+
+    runner.test("should report schema changes from sqlite_master", async () => {
+      const before = await createSnapshot([]);
+      const after = await createSnapshot([
+        "ALTER TABLE notes ADD COLUMN tags TEXT",
+        "CREATE TABLE tags (name TEXT PRIMARY KEY)",
+        "CREATE INDEX idx_notes_title ON notes(title)",
+      ]);
+
+      const diff = await new MemoryFileDiff().compare(before, after);
+
+      Assert.assertArrayEqual(
+        diff.schema.added.map((entry) => entry.name),
+        ["idx_notes_title", "tags"]
+      );
+      Assert.assertEqual(diff.schema.changed.length, 1);
+      Assert.assertEqual(diff.schema.changed[0].name, "notes");
+      Assert.assertContains(diff.schema.changed[0].after, "tags");
+    });
+
+    runner.test("should key rows by composite primary key", async () => {
+      const fusion = new HTMLSQLiteFusion({ encrypted: false });
+      await fusion.createDatabase(
+        "CREATE TABLE scores (team TEXT, round INTEGER, points INTEGER, PRIMARY KEY (team, round))"
+      );
+      fusion.run("INSERT INTO scores VALUES ('a', 1, 10), ('a', 2, 20)");
+      const before = fusion.exportDatabase();
+      fusion.run(
+        "UPDATE scores SET points = 25 WHERE team = 'a' AND round = 2"
+      );
+
+      const diff = await new MemoryFileDiff().compare(before, fusion);
+
+      Assert.assertEqual(diff.tables.scores.changed.length, 1);
+      Assert.assertObjectEqual(diff.tables.scores.changed[0].key, {
+        team: "a",
+        round: 2,
+      });
+    });
+
+    runner.test("should fall back to rowid without primary key", async () => {
+      const fusion = new HTMLSQLiteFusion({ encrypted: false });
+      await fusion.createDatabase("CREATE TABLE log (message TEXT)");
+      fusion.run("INSERT INTO log VALUES ('first')");
+      const before = fusion.exportDatabase();
+      fusion.run("INSERT INTO log VALUES ('second')");
+
+      const diff = await new MemoryFileDiff().compare(before, fusion);
+
+      Assert.assertArrayEqual(diff.tables.log.keyColumns, ["rowid"]);
+      Assert.assertEqual(diff.tables.log.added.length, 1);
+      Assert.assertEqual(diff.tables.log.added[0].message, "second");
+    });
+
+    runner.test("should compare BLOB values by content", () => {
+      Assert.assertTrue(
+        MemoryFileDiff.valuesEqual(
+          new Uint8Array([1, 2, 3]),
+          new Uint8Array([1, 2, 3])
+        )
+      );
+      Assert.assertFalse(
+        MemoryFileDiff.valuesEqual(
+          new Uint8Array([1, 2, 3]),
+          new Uint8Array([1, 2, 4])
+        )
+      );
+    });
+
+    runner.test("should diff encrypted HTML files", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase(
+        "CREATE TABLE notes (id INTEGER PRIMARY KEY, title TEXT)"
+      );
+      const toHtml = async () => {
+        const encrypted = await fusion.encryptData(
+          fusion.exportDatabase(),
+          "secret"
+        );
+        return `<html><body><script id="commit-metadata" type="application/json">{"commitHash":"a1b2c3"}</script><script id="embedded-db" type="application/x-sqlite3">${fusion.uint8ArrayToBase64(
+          encrypted
+        )}</script></body></html>`;
+      };
+
+      const before = await toHtml();
+      fusion.run("INSERT INTO notes VALUES (1, 'Hello')");
+      const after = await toHtml();
+
+      const diff = await new MemoryFileDiff(fusion).compare(before, after, {
+        password: "secret",
+      });
+
+      Assert.assertEqual(diff.tables.notes.added.length, 1);
+      Assert.assertEqual(diff.before.commitHash, "a1b2c3");
+    });
+  });
+}
+
+// Export for use in test runner
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { registerDiffTests };
+}
@@ -41,7 +41,7 @@ function createEncryptionTestSuite() {
           const encrypted = await mf.encryptData(exportedDb, 'testpass123');
           
           assert(encrypted.length > exportedDb.length, 'Encrypted data should be larger (includes metadata)');
-          assert(encrypted[0] === 1, 'First byte should be version number');
+          assert(encrypted[0] === 2, 'First byte should be version number');
         }
       },
       {
@@ -54,9 +54,9 @@ function createEncryptionTestSuite() {
           const data = new Uint8Array([1, 2, 3, 4, 5]);
           const encrypted = await mf.encryptData(data, 'password');
           
-          // Format: version(1) + salt(16) + iv(12) + encrypted data
-          assert(encrypted.length >= 29, 'Encrypted data should include version, salt, and IV');
-          assert(encrypted[0] === 1, 'Version should be 1');
+          // Format: version(1) + salt(16) + iv(12) + header length(2) + header + encrypted data
+          assert(encrypted.length >= 31, 'Encrypted data should include version, salt, IV and header');
+          assert(encrypted[0] === 2, 'Version should be 2');
         }
       },
       {
@@ -115,7 +115,7 @@ function createEncryptionTestSuite() {
           const encrypted = await mf.encryptData(exportedDb, 'pass123');
           
           assert(encrypted.length > 0, 'Encrypted database should have data');
-          assert(encrypted[0] === 1, 'Should have version byte');
+          assert(encrypted[0] === 2, 'Should have version byte');
         }
       },
       {
@@ -181,7 +181,7 @@ function createEncryptionTestSuite() {
           
           const metadata = mf.getEncryptionMetadata();
           assert(metadata !== null, 'Metadata should exist');
-          assert(metadata.version === 1, 'Version should be 1');
+          assert(metadata.version === 2, 'Version should be 2');
           assert(metadata.algorithm === 'AES-GCM-256', 'Algorithm should be AES-GCM-256');
           assert(metadata.kdf === 'PBKDF2', 'KDF should be PBKDF2');
           assert(metadata.iterations === 100000, 'Should use 100k iterations');
@@ -276,8 +276,9 @@ function createEncryptionTestSuite() {
           const data = new Uint8Array([1, 2, 3, 4, 5]);
           const password = 'same-password';
           
+          const other = new MemoryFile({ encrypted: true });
           const encrypted1 = await mf.encryptData(data, password);
-          const encrypted2 = await mf.encryptData(data, password);
+          const encrypted2 = await other.encryptData(data, password);
           
           // Salt is random, so ciphertexts should differ
           assert(!arraysEqual(encrypted1, encrypted2), 
@@ -359,7 +360,7 @@ function createEncryptionTestSuite() {
           const data = new Uint8Array([1, 2, 3]);
           
           const enc1 = await mf.encryptData(data, 'pass');
-          const enc2 = await mf.encryptData(data, 'pass');
+          const enc2 = await new MemoryFile({ encrypted: true }).encryptData(data, 'pass');
           
           // Extract salts (bytes 1-16)
           const salt1 = enc1.slice(1, 17);
@@ -368,6 +369,43 @@ function createEncryptionTestSuite() {
           assert(!arraysEqual(salt1, salt2), 'Salts should be randomly generated');
         }
       },
+      {
+        name: 'Saves reuse the derived key until the password changes',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await mf.initSQL();
+          let derivations = 0;
+          const deriveKey = mf.deriveKey.bind(mf);
+          mf.deriveKey = (...args) => {
+            derivations++;
+            return deriveKey(...args);
+          };
+
+          const data = new Uint8Array([1, 2, 3]);
+          const opened = await mf.decryptData(
+            await new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } }).encryptData(data, 'pass'),
+            'pass'
+          );
+          assert(arraysEqual(opened, data), 'Should decrypt');
+          assert(derivations === 1, 'Opening should derive once');
+
+          const enc1 = await mf.encryptData(data, 'pass');
+          const enc2 = await mf.encryptData(data, 'pass');
+          assert(derivations === 1, 'Saves should reuse the key of the opened data');
+          assert(arraysEqual(enc1.slice(1, 17), enc2.slice(1, 17)), 'Salt should be kept with the key');
+          assert(!arraysEqual(enc1.slice(17, 29), enc2.slice(17, 29)), 'IV should still be new');
+          assert(arraysEqual(await new MemoryFile({ encrypted: true }).decryptData(enc2, 'pass'), data),
+            'Should decrypt with the password');
+
+          mf.changePassword('other');
+          await mf.encryptData(data, 'other');
+          assert(derivations === 2, 'A new password should derive a new key');
+
+          mf.options.kdf = { iterations: 2000 };
+          await mf.encryptData(data, 'other');
+          assert(derivations === 3, 'New KDF parameters should derive a new key');
+        }
+      },
       {
         name: 'IV is randomly generated',
         async run() {
@@ -683,6 +721,477 @@ function createEncryptionTestSuite() {
     ]
   });
 
+  // Category: Format Versions
+  suite.categories.push({
+    name: 'Format Versions',
+    tests: [
+      {
+        name: 'Version 1 data still decrypts',
+        async run() {
+          const legacy = new MemoryFile({ encrypted: true, encryptionVersion: 1 });
+          await legacy.initSQL();
+
+          const data = new Uint8Array([1, 2, 3, 4, 5]);
+          const encrypted = await legacy.encryptData(data, 'password');
+          assert(encrypted[0] === 1, 'Legacy writer should use version 1');
+          assert(encrypted.length === 29 + data.length + 16, 'Version 1 has no header');
+
+          const mf = new MemoryFile({ encrypted: true });
+          await mf.initSQL();
+          assert(mf.isEncryptedData(encrypted), 'Version 1 data should be detected');
+
+          const decrypted = await mf.decryptData(encrypted, 'password');
+          assert(arraysEqual(decrypted, data), 'Version 1 data should decrypt');
+          assert(mf.getEncryptionMetadata().version === 1, 'Metadata should report version 1');
+          assert(mf.getEncryptionMetadata().iterations === 100000, 'Version 1 uses 100k iterations');
+        }
+      },
+      {
+        name: 'Header records the KDF parameters',
+        async run() {
+          const writer = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await writer.initSQL();
+
+          const data = new Uint8Array([1, 2, 3]);
+          const encrypted = await writer.encryptData(data, 'password');
+
+          const { header } = writer.readEncryptionHeader(encrypted);
+          assert(header.kdf.name === 'PBKDF2', 'Header should name the KDF');
+          assert(header.kdf.iterations === 1000, 'Header should record the iterations');
+          assert(header.cipher === 'AES-GCM-256', 'Header should name the cipher');
+
+          // A reader with default options follows the header
+          const reader = new MemoryFile({ encrypted: true });
+          await reader.initSQL();
+          const decrypted = await reader.decryptData(encrypted, 'password');
+
+          assert(arraysEqual(decrypted, data), 'Data should decrypt with recorded parameters');
+          assert(reader.getEncryptionMetadata().iterations === 1000, 'Metadata should report recorded iterations');
+        }
+      },
+      {
+        name: 'Header is authenticated',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await mf.initSQL();
+
+          const encrypted = await mf.encryptData(new Uint8Array([1, 2, 3]), 'password');
+
+          // Lower the recorded work factor: 1000 -> 1001 keeps the header valid JSON
+          const headerLength = mf.readUint16(encrypted, 29);
+          const headerText = new TextDecoder().decode(encrypted.slice(31, 31 + headerLength));
+          const offset = 31 + headerText.indexOf('"iterations":1000') + '"iterations":100'.length;
+          encrypted[offset] = '1'.charCodeAt(0);
+
+          try {
+            await mf.decryptData(encrypted, 'password');
+            throw new Error('Should have detected header tampering');
+          } catch (error) {
+            assert(error.message.includes('Decryption failed'),
+              'Changed header should fail authentication');
+          }
+        }
+      },
+      {
+        name: 'Rejects PBKDF2 iterations above the maximum',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await mf.initSQL();
+
+          const encrypted = await mf.encryptData(new Uint8Array([1, 2, 3]), 'password');
+          const crafted = rewriteHeader(mf, encrypted, (header) => {
+            header.kdf.iterations = 2000000000;
+          });
+
+          const start = Date.now();
+          try {
+            await mf.decryptData(crafted, 'password');
+            throw new Error('Should reject the iteration count');
+          } catch (error) {
+            assert(error.message.includes('exceed the maximum'),
+              'Should name the limit, got: ' + error.message);
+          }
+          assert(Date.now() - start < 5000, 'Should fail before deriving a key');
+        }
+      }
+    ]
+  });
+
+  // Category: Argon2id
+  suite.categories.push({
+    name: 'Argon2id',
+    tests: [
+      {
+        name: 'Argon2id encrypts and decrypts',
+        async run() {
+          // Small work factors keep the test fast
+          const kdf = { name: 'Argon2id', memory: 1024, iterations: 2, parallelism: 1 };
+          const writer = new MemoryFile({ encrypted: true, kdf });
+          await writer.initSQL();
+
+          const data = new Uint8Array([1, 2, 3, 4, 5]);
+          const encrypted = await writer.encryptData(data, 'password');
+
+          const { header } = writer.readEncryptionHeader(encrypted);
+          assert(header.kdf.name === 'Argon2id', 'Header should name Argon2id');
+          assert(header.kdf.memory === 1024, 'Header should record the memory cost');
+          assert(header.kdf.parallelism === 1, 'Header should record the lanes');
+
+          const reader = new MemoryFile({ encrypted: true });
+          await reader.initSQL();
+          const decrypted = await reader.decryptData(encrypted, 'password');
+          assert(arraysEqual(decrypted, data), 'Argon2id data should decrypt');
+
+          const metadata = reader.getEncryptionMetadata();
+          assert(metadata.kdf === 'Argon2id', 'Metadata should report Argon2id');
+          assert(metadata.memory === 1024, 'Metadata should report the memory cost');
+          assert(metadata.iterations === 2, 'Metadata should report the iterations');
+        }
+      },
+      {
+        name: 'Argon2id rejects wrong password',
+        async run() {
+          const mf = new MemoryFile({
+            encrypted: true,
+            kdf: { name: 'Argon2id', memory: 1024, iterations: 1 }
+          });
+          await mf.initSQL();
+
+          const encrypted = await mf.encryptData(new Uint8Array([1, 2, 3]), 'correct');
+
+          try {
+            await mf.decryptData(encrypted, 'wrong');
+            throw new Error('Should have thrown error');
+          } catch (error) {
+            assert(error.message.includes('Decryption failed'), 'Should throw decryption error');
+          }
+        }
+      },
+      {
+        name: 'Argon2id validates parameters',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true, kdf: { name: 'Argon2id', memory: 0 } });
+          await mf.initSQL();
+
+          try {
+            await mf.encryptData(new Uint8Array([1, 2, 3]), 'password');
+            throw new Error('Should reject zero memory');
+          } catch (error) {
+            assert(error.message.includes('Invalid Argon2id memory'), 'Should reject zero memory');
+          }
+
+          const legacy = new MemoryFile({
+            encrypted: true,
+            encryptionVersion: 1,
+            kdf: { name: 'Argon2id' }
+          });
+          try {
+            await legacy.encryptData(new Uint8Array([1, 2, 3]), 'password');
+            throw new Error('Should reject Argon2id in version 1');
+          } catch (error) {
+            assert(error.message.includes('version 1'), 'Version 1 has no KDF header');
+          }
+        }
+      },
+      {
+        name: 'Argon2id rejects parameters above the maximum',
+        async run() {
+          const kdf = { name: 'Argon2id', memory: 1024, iterations: 1, parallelism: 1 };
+          const mf = new MemoryFile({ encrypted: true, kdf });
+          await mf.initSQL();
+
+          const encrypted = await mf.encryptData(new Uint8Array([1, 2, 3]), 'password');
+          const crafted = [
+            ['memory', 2097152],
+            ['iterations', 1000000],
+            ['parallelism', 256]
+          ];
+
+          for (const [name, value] of crafted) {
+            const data = rewriteHeader(mf, encrypted, (header) => {
+              header.kdf[name] = value;
+            });
+            try {
+              await mf.decryptData(data, 'password');
+              throw new Error('Should reject ' + name);
+            } catch (error) {
+              assert(error.message.includes('Argon2id ' + name + ' ' + value + ' exceeds the maximum'),
+                'Should name the limit, got: ' + error.message);
+            }
+          }
+        }
+      }
+    ]
+  });
+
+  // Category: Recipients
+  suite.categories.push({
+    name: 'Recipients',
+    tests: [
+      {
+        name: 'Recipient opens file with stored key pair',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await owner.initSQL();
+          const keyPair = await owner.createKeyPair('Alice');
+
+          try {
+            await owner.addRecipient(keyPair.publicKey, 'Alice');
+            const data = new Uint8Array([1, 2, 3, 4, 5]);
+            const encrypted = await owner.encryptData(data, 'owner-password');
+
+            const reader = new MemoryFile({ encrypted: true });
+            await reader.initSQL();
+            assert(await reader.hasRecipientKey(encrypted), 'Stored key pair should match a slot');
+
+            const decrypted = await reader.decryptData(encrypted);
+            assert(arraysEqual(decrypted, data), 'Recipient should decrypt without a password');
+            assert(reader.getRecipients()[0].name === 'Alice', 'Recipients should be read from the file');
+            assert(reader.getEncryptionMetadata().recipients.length === 1, 'Metadata should list recipients');
+
+            // The owner's password still opens the file
+            const byPassword = await new MemoryFile({ encrypted: true }).decryptData(encrypted, 'owner-password');
+            assert(arraysEqual(byPassword, data), 'Password slot should decrypt');
+          } finally {
+            await owner.deleteKeyPair(keyPair.id);
+          }
+        }
+      },
+      {
+        name: 'Recipients without a password',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true });
+          await owner.initSQL();
+          const keyPair = await owner.createKeyPair('Bob');
+
+          try {
+            await owner.addRecipient(keyPair.publicKey);
+            const encrypted = await owner.encryptData(new Uint8Array([1, 2, 3]), null);
+
+            const { header } = owner.readEncryptionHeader(encrypted);
+            assert(header.keySlots.length === 1, 'Only the recipient slot should be written');
+            assert(!header.kdf, 'Key slots replace the password KDF');
+
+            try {
+              await owner.decryptData(encrypted, 'guess');
+              throw new Error('Should have thrown error');
+            } catch (error) {
+              assert(error.message.includes('Decryption failed'), 'A password should not open the file');
+            }
+          } finally {
+            await owner.deleteKeyPair(keyPair.id);
+          }
+        }
+      },
+      {
+        name: 'Removed recipient cannot open later saves',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await owner.initSQL();
+          const kept = await owner.createKeyPair('Kept');
+          const removed = await owner.createKeyPair('Removed');
+
+          try {
+            await owner.addRecipient(kept.publicKey);
+            await owner.addRecipient(removed.publicKey);
+            const before = await owner.encryptData(new Uint8Array([1, 2, 3]), 'password');
+
+            owner.changePassword('password');
+            assert(owner.removeRecipient(removed.id), 'Recipient should be removed');
+            assert(!owner.removeRecipient(removed.id), 'Removing twice should report false');
+            const after = await owner.encryptData(new Uint8Array([1, 2, 3]), 'password');
+
+            const slots = owner.readEncryptionHeader(after).header.keySlots;
+            assert(!slots.some(slot => slot.id === removed.id), 'Removed recipient should have no slot');
+
+            // Only the removed key pair is left in this browser
+            await owner.deleteKeyPair(kept.id);
+            const reader = new MemoryFile({ encrypted: true });
+            await reader.initSQL();
+
+            await reader.decryptData(before);
+            try {
+              await reader.decryptData(after);
+              throw new Error('Should have thrown error');
+            } catch (error) {
+              assert(error.message.includes('No key pair'), 'Removed key pair should not open the new save');
+            }
+          } finally {
+            await owner.deleteKeyPair(kept.id);
+            await owner.deleteKeyPair(removed.id);
+          }
+        }
+      },
+      {
+        name: 'Imported file keeps its own recipients',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true, persistToStorage: false, kdf: { iterations: 1000 } });
+          await owner.createDatabase('CREATE TABLE items (value TEXT)');
+          const alice = await owner.createKeyPair('Alice');
+          const bob = await owner.createKeyPair('Bob');
+
+          try {
+            await owner.addRecipient(alice.publicKey, 'Alice');
+            await owner.createRecoveryCode();
+            owner.changePassword('owner-password');
+            await owner.encryptData(owner.exportDatabase(), 'owner-password');
+
+            const other = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+            await other.createDatabase('CREATE TABLE items (value TEXT)');
+            other.run("INSERT INTO items VALUES ('imported')");
+            await other.addRecipient(bob.publicKey, 'Bob');
+            const encrypted = await other.encryptData(other.exportDatabase(), 'import-password');
+            const html = '<html><body><script id="embedded-db" type="application/x-sqlite3">' +
+              other.uint8ArrayToBase64(encrypted) + '</script></body></html>';
+
+            await owner.importFromHtmlFile(html, { password: 'import-password' });
+            assert(owner.exec('SELECT value FROM items')[0].value === 'imported', 'Imported data should be loaded');
+            assert(owner.getRecipients().map(r => r.name).join() === 'Bob', 'Recipients should be the imported file\'s');
+            assert(!owner.hasRecoveryCode(), 'The previous recovery code should be dropped');
+
+            const saved = await owner.encryptData(owner.exportDatabase(), owner.currentPassword);
+            const slots = owner.readEncryptionHeader(saved).header.keySlots;
+            assert(!slots.some(slot => slot.id === alice.id), 'Previous recipients should get no slot');
+            await new MemoryFile({ encrypted: true }).decryptData(saved, 'import-password');
+          } finally {
+            await owner.deleteKeyPair(alice.id);
+            await owner.deleteKeyPair(bob.id);
+          }
+        }
+      },
+      {
+        name: 'Recipient keys are validated',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true });
+          await mf.initSQL();
+
+          try {
+            await mf.addRecipient({ kty: 'EC', crv: 'P-384', x: 'a', y: 'b' });
+            throw new Error('Should reject other curves');
+          } catch (error) {
+            assert(error.message.includes('P-256'), 'Should require P-256');
+          }
+
+          try {
+            await mf.addRecipient({ kty: 'EC', crv: 'P-256', x: 'AAAA', y: 'AAAA' });
+            throw new Error('Should reject invalid points');
+          } catch (error) {
+            assert(error.message.includes('Invalid recipient key'), 'Should reject invalid points');
+          }
+
+          const plain = new MemoryFile({ encrypted: false });
+          try {
+            await plain.addRecipient({ kty: 'EC', crv: 'P-256', x: 'a', y: 'b' });
+            throw new Error('Should require encryption');
+          } catch (error) {
+            assert(error.message.includes('encryption is not enabled'), 'Should require encryption');
+          }
+        }
+      }
+    ]
+  });
+
+  // Category: Recovery Codes
+  suite.categories.push({
+    name: 'Recovery Codes',
+    tests: [
+      {
+        name: 'Recovery code opens the database',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await owner.initSQL();
+
+          const code = await owner.createRecoveryCode();
+          assert(/^([0-9A-Z]{8}-){6}[0-9A-Z]{8}$/.test(code), 'Code should be printable groups');
+
+          const data = new Uint8Array([1, 2, 3, 4, 5]);
+          const encrypted = await owner.encryptData(data, 'forgotten');
+
+          // Typed in lower case with spaces
+          const reader = new MemoryFile({ encrypted: true });
+          await reader.initSQL();
+          reader.recoveryKey = await reader.parseRecoveryCode(code.toLowerCase().replace(/-/g, ' '));
+          const decrypted = await reader.decryptData(encrypted);
+
+          assert(arraysEqual(decrypted, data), 'Recovery code should decrypt');
+          assert(reader.hasRecoveryCode(), 'Recovery slot should be kept for later saves');
+          assert(reader.getEncryptionMetadata().recovery === true, 'Metadata should report the recovery code');
+        }
+      },
+      {
+        name: 'Recovery code checksum catches typos',
+        async run() {
+          const mf = new MemoryFile({ encrypted: true });
+          await mf.initSQL();
+          const code = await mf.createRecoveryCode();
+
+          const typo = (code[0] === 'A' ? 'B' : 'A') + code.slice(1);
+          try {
+            await mf.parseRecoveryCode(typo);
+            throw new Error('Should detect the typo');
+          } catch (error) {
+            assert(error.message.includes('checksum'), 'Should report a checksum mismatch');
+          }
+
+          try {
+            await mf.parseRecoveryCode(code.slice(0, -1));
+            throw new Error('Should detect the missing character');
+          } catch (error) {
+            assert(error.message.includes('expected 56'), 'Should report the length');
+          }
+        }
+      },
+      {
+        name: 'Password change keeps the recovery code',
+        async run() {
+          const owner = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await owner.initSQL();
+          const code = await owner.createRecoveryCode();
+
+          const data = new Uint8Array([1, 2, 3]);
+          await owner.encryptData(data, 'old-password');
+          owner.changePassword('new-password');
+          const encrypted = await owner.encryptData(data, owner.currentPassword);
+
+          const reader = new MemoryFile({ encrypted: true });
+          await reader.initSQL();
+          try {
+            await reader.decryptData(encrypted, 'old-password');
+            throw new Error('Old password should not open the new save');
+          } catch (error) {
+            assert(error.message.includes('Decryption failed'), 'Old password should fail');
+          }
+          assert(arraysEqual(await reader.decryptData(encrypted, 'new-password'), data),
+            'New password should decrypt');
+
+          reader.recoveryKey = await reader.parseRecoveryCode(code);
+          assert(arraysEqual(await reader.decryptData(encrypted), data),
+            'Recovery code should still decrypt');
+        }
+      },
+      {
+        name: 'Recovery code of another file is rejected',
+        async run() {
+          const first = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          const second = new MemoryFile({ encrypted: true, kdf: { iterations: 1000 } });
+          await first.initSQL();
+
+          const firstCode = await first.createRecoveryCode();
+          await second.createRecoveryCode();
+          const encrypted = await second.encryptData(new Uint8Array([1, 2, 3]), 'password');
+
+          first.recoveryKey = await first.parseRecoveryCode(firstCode);
+          try {
+            await first.decryptData(encrypted);
+            throw new Error('Should have thrown error');
+          } catch (error) {
+            assert(error.message.includes('incorrect recovery code'), 'Should reject the other code');
+          }
+        }
+      }
+    ]
+  });
+
   // Flatten all tests
   suite.tests = suite.categories.flatMap(cat => 
     cat.tests.map(test => ({
@@ -694,6 +1203,23 @@ function createEncryptionTestSuite() {
   return suite;
 }
 
+// Rebuild v2 data with a changed header, as a crafted file would
+function rewriteHeader(mf, encrypted, change) {
+  const headerLength = mf.readUint16(encrypted, 29);
+  const header = JSON.parse(new TextDecoder().decode(encrypted.slice(31, 31 + headerLength)));
+  change(header);
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const ciphertext = encrypted.slice(31 + headerLength);
+  const result = new Uint8Array(31 + headerBytes.length + ciphertext.length);
+  result.set(encrypted.slice(0, 29));
+  result[29] = headerBytes.length >> 8;
+  result[30] = headerBytes.length & 0xff;
+  result.set(headerBytes, 31);
+  result.set(ciphertext, 31 + headerBytes.length);
+  return result;
+}
+
 // Helper function
 function arraysEqual(a, b) {
   if (a.length !== b.length) return false;
@@ -0,0 +1,190 @@
+/**
+ * Commit History Viewer Tests
+ * Tests for the commit timeline component
+ */
+
+async function registerHistoryViewerTests(runner) {
+  const { Assert } = window;
+
+  // Database with a linear chain of three commits and one side commit
+  async function createHistory() {
+    const fusion = new HTMLSQLiteFusion({ encrypted: false });
+    await fusion.createDatabase();
+
+    const commits = [
+      ["aaaaaa11", null, "Initial", "2026-01-01T10:00:00.000Z"],
+      ["bbbbbb22", "aaaaaa11", "Add <b>notes</b>", "2026-01-02T10:00:00.000Z"],
+      ["cccccc33", "bbbbbb22", "Sign", "2026-01-03T10:00:00.000Z"],
+      ["dddddd44", "aaaaaa11", "Other copy", "2026-01-04T10:00:00.000Z"],
+    ];
+    for (const [commitHash, parentHash, commitMessage, commitDate] of commits) {
+      fusion.recordCommit(
+        {
+          commitHash,
+          parentHash,
+          commitMessage,
+          commitType: null,
+          commitAuthor: commitHash === "cccccc33" ? "bob@example.com" : null,
+          commitDate,
+          appVersion: null,
+        },
+        null
+      );
+    }
+    fusion.commitMetadata = { commitHash: "cccccc33", parentHash: "bbbbbb22" };
+    return fusion;
+  }
+
+  function createContainer() {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    return container;
+  }
+
+  runner.describe("Commit History Viewer", () => {
+    runner.test("should render the commit chain newest first", async () => {
+      const fusion = await createHistory();
+      const container = createContainer();
+      try {
+        const viewer = new CommitHistoryViewer(fusion, { container });
+        const panel = viewer.render();
+        const entries = panel.querySelectorAll(".commit-history-entry");
+
+        Assert.assertEqual(entries.length, 3);
+        Assert.assertContains(entries[0].textContent, "Sign");
+        Assert.assertContains(entries[0].textContent, "bob@example.com");
+        Assert.assertEqual(
+          entries[0].querySelector(".commit-history-hash").textContent,
+          "cccccc"
+        );
+        Assert.assertContains(entries[2].textContent, "Initial");
+      } finally {
+        container.remove();
+      }
+    });
+
+    runner.test("should mark the current commit without restore", async () => {
+      const fusion = await createHistory();
+      const container = createContainer();
+      try {
+        const panel = new CommitHistoryViewer(fusion, { container }).render();
+        const entries = panel.querySelectorAll(".commit-history-entry");
+
+        Assert.assertTrue(entries[0].classList.contains("current"));
+        Assert.assertNull(entries[0].querySelector(".commit-history-restore"));
+        Assert.assertEqual(
+          entries[1]
+            .querySelector(".commit-history-restore")
+            .getAttribute("data-hash"),
+          "bbbbbb22"
+        );
+      } finally {
+        container.remove();
+      }
+    });
+
+    runner.test("should escape commit messages", async () => {
+      const fusion = await createHistory();
+      const container = createContainer();
+      try {
+        const panel = new CommitHistoryViewer(fusion, { container }).render();
+
+        Assert.assertNull(panel.querySelector(".commit-history-message b"));
+        Assert.assertContains(panel.innerHTML, "&lt;b&gt;notes&lt;/b&gt;");
+      } finally {
+        container.remove();
+      }
+    });
+
+    runner.test("should include side commits with showAll", async () => {
+      const fusion = await createHistory();
+      const container = createContainer();
+      try {
+        const panel = new CommitHistoryViewer(fusion, {
+          container,
+          showAll: true,
+        }).render();
+
+        Assert.assertEqual(
+          panel.querySelectorAll(".commit-history-entry").length,
+          4
+        );
+      } finally {
+        container.remove();
+      }
+    });
+
+    runner.test("should exclude the panel from the trust hash", async () => {
+      const fusion = await createHistory();
+      const excluded = [];
+      fusion.options.trustManager = {
+        excludeSelector: (selector) => excluded.push(selector),
+      };
+
+      new CommitHistoryViewer(fusion);
+
+      Assert.assertEqual(excluded.length, 1);
+      Assert.assertEqual(excluded[0], "#commit-history");
+    });
+
+    runner.test("should replace an earlier render", async () => {
+      const fusion = await createHistory();
+      const viewer = new CommitHistoryViewer(fusion);
+      try {
+        viewer.render();
+        viewer.render();
+
+        Assert.assertEqual(
+          document.querySelectorAll("#commit-history").length,
+          1
+        );
+        Assert.assertEqual(
+          viewer.element.getAttribute("data-position"),
+          "bottom-right"
+        );
+      } finally {
+        viewer.element.remove();
+      }
+    });
+
+    runner.test("should restore a picked file", async () => {
+      const fusion = await createHistory();
+      const container = createContainer();
+      try {
+        const snapshot = await createHistory();
+        snapshot.run("CREATE TABLE restored (id INTEGER)");
+        const savedFile = `<script id="commit-metadata" type="application/json">{"commitHash":"bbbbbb22"}</script><script id="embedded-db" type="application/x-sqlite3">${snapshot.uint8ArrayToBase64(
+          snapshot.exportDatabase()
+        )}</script>`;
+
+        const restoredWith = [];
+        const viewer = new CommitHistoryViewer(fusion, {
+          container,
+          onRestore: (metadata) => restoredWith.push(metadata),
+        });
+        viewer.pickFile = async () => savedFile;
+
+        await viewer.restore("bbbbbb22");
+
+        Assert.assertTrue(fusion.getTables().includes("restored"));
+        Assert.assertEqual(restoredWith[0].commitHash, "bbbbbb22");
+        Assert.assertEqual(fusion.getHistory().length, 4);
+      } finally {
+        container.remove();
+      }
+    });
+
+    runner.test("should do nothing when no file is picked", async () => {
+      const fusion = await createHistory();
+      const viewer = new CommitHistoryViewer(fusion);
+      viewer.pickFile = async () => null;
+
+      Assert.assertNull(await viewer.restore("bbbbbb22"));
+    });
+  });
+}
+
+// Export for use in test runner
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { registerHistoryViewerTests };
+}
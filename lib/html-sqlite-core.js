@@ -10,16 +10,91 @@ class MemoryFile {
     this.sqlJS = null;
     this.options = {
       embedId: options.embedId || "embedded-db",
-      autoSave: options.autoSave || false,
+      autoSave: options.autoSave || false, // true saves to file, "storage" to IndexedDB
+      autoSaveDelay: options.autoSaveDelay ?? 1000, // Debounce for autoSave: "storage", in ms
+      warnOnUnload: options.warnOnUnload ?? options.autoSave === "storage", // Warn before closing with unexported changes
       compression: options.compression || false,
       encrypted: options.encrypted !== false, // Enabled by default
+      encryptionVersion: options.encryptionVersion || 2, // 1 writes the legacy format for older readers
+      kdf: options.kdf || null, // v2 key derivation, e.g. { iterations: 600000 } or { name: "Argon2id" }
       persistToStorage: options.persistToStorage !== false, // Enable by default
       storageKey: options.storageKey || null, // Custom key, or auto-generated
+      commitMetadataId: options.commitMetadataId || "commit-metadata",
+      basename: options.basename || null, // Commit filename base, or derived from URL
+      hashLength: options.hashLength || 6,
+      appVersion: options.appVersion || null,
+      filenamePattern: options.filenamePattern || null, // e.g. "{basename}.{date}.html"
+      commitTypes: options.commitTypes || {}, // Per-type filename patterns
+      trustManager: options.trustManager || null, // Adds content hash to commit filenames
+      migrations: options.migrations || null, // Run by loadEmbeddedDatabase, see migrate()
+      onConflict: options.onConflict || "prefer-newer", // IndexedDB copy vs newer file, see resolveLoadConflict()
+      databases: options.databases || {}, // Named embedded databases, see loadEmbeddedDatabases()
       ...options,
     };
     this.currentPassword = null; // Store for re-encryption
     this.encryptionMetadata = null; // Store metadata for display
+    this.recipients = []; // { id, name, publicKey } the database key is wrapped for
+    this.envelope = null; // { dataKey, passwordSlot } of recipient encryption
+    this.recovery = null; // { publicKey } of the recovery code, see createRecoveryCode()
+    this.recoveryKey = null; // Recovery code being tried by loadWithRecoveryCode()
+    this.passwordKeys = new Map(); // Password and KDF parameters -> { salt, key }, see getPasswordKey()
     this.loadedFromStorage = false; // Track if we loaded from IndexedDB
+    this.loadSource = null; // "storage", "embedded", "merged" or "empty" after loading
+    this.loadConflict = null; // How a diverged IndexedDB copy was resolved
+    this.embeddedVersion = null; // { savedAt, commitHash, data } of the file the data came from
+    this.commitMetadata = null; // Parsed commit-metadata block
+    this.transactionDepth = 0; // Open transaction() calls, nested ones use savepoints
+    this.pendingChanges = false; // Writes inside a transaction, marked dirty on commit
+    this.activeImport = null; // Import holding the transaction, see runImport()
+    this.loading = false; // Loading or migrating on load, markDirty() does not save to a file
+    this.dirty = false; // Changes not yet saved to a file
+    this.autoSaveTimer = null;
+    this.pageListeners = null; // beforeunload/visibilitychange handlers
+    this.listeners = new Map(); // Event name -> Set of handlers
+    this.fileHandle = null; // File the last save wrote to, see getFileHandle()
+    this.attachedDatabases = new Map(); // Schema name -> sql.js Database, embedded or imported
+  }
+
+  /**
+   * Subscribe to an event
+   * load        { source: "storage" | "embedded" | "merged" | "empty" | "import", encrypted, commit, migrated, conflict }
+   * change      after run(), or once per committed transaction()
+   * dirty       first change since the last file save
+   * persist     { key, timestamp } written to IndexedDB
+   * persist-error { error } IndexedDB write failed
+   * save        { method, filename } written to a file, shared or downloaded
+   * save-cancelled { method } file picker or share sheet dismissed
+   * saved       { target: "storage" | "file", timestamp } after persist or save
+   * password-changed  new password set, it applies from the next save unless set by rotatePassword()
+   * recipients-changed { recipients } added or removed, applies from the next save
+   * @returns {Function} Call to unsubscribe
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe from an event
+   */
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Call event handlers, a failing handler does not stop the others
+   */
+  emit(event, detail = {}) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Error in ${event} handler:`, error);
+      }
+    }
   }
 
   /**
@@ -40,7 +115,7 @@ class MemoryFile {
    */
   async openIndexedDB() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open("MemoryFileStorage", 1);
+      const request = indexedDB.open("MemoryFileStorage", 3);
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
@@ -50,6 +125,14 @@ class MemoryFile {
         if (!db.objectStoreNames.contains("databases")) {
           db.createObjectStore("databases", { keyPath: "key" });
         }
+        // Version 2: file handles for saving in place
+        if (!db.objectStoreNames.contains("handles")) {
+          db.createObjectStore("handles", { keyPath: "key" });
+        }
+        // Version 3: ECDH key pairs for recipient encryption
+        if (!db.objectStoreNames.contains("keys")) {
+          db.createObjectStore("keys", { keyPath: "key" });
+        }
       };
     });
   }
@@ -62,11 +145,13 @@ class MemoryFile {
     if (!this.db || !this.options.persistToStorage) return;
 
     try {
-      const idb = await this.openIndexedDB();
-      const tx = idb.transaction("databases", "readwrite");
-      const store = tx.objectStore("databases");
+      // Encode before the IndexedDB transaction, it closes while awaiting
+      const databases = await this.encodeEmbeddedDatabases(
+        this.currentPassword,
+        false
+      );
 
-      let exportedDb = this.db.export();
+      let exportedDb = this.exportDatabase();
 
       // Compress if enabled
       if (this.options.compression) {
@@ -74,18 +159,44 @@ class MemoryFile {
       }
 
       // Encrypt if enabled
-      if (this.options.encrypted && this.currentPassword) {
+      if (
+        this.options.encrypted &&
+        this.hasEncryptionKey(this.currentPassword)
+      ) {
         exportedDb = await this.encryptData(exportedDb, this.currentPassword);
       }
 
+      const idb = await this.openIndexedDB();
+      const tx = idb.transaction("databases", "readwrite");
+      const store = tx.objectStore("databases");
+
+      const version = this.embeddedVersion || {};
       const record = {
         key: this.getStorageKey(),
         data: this.uint8ArrayToBase64(exportedDb),
         timestamp: Date.now(),
         encrypted: this.options.encrypted,
+        // The file version this copy was edited from, to detect newer files
+        basedOn: {
+          savedAt: version.savedAt || null,
+          commitHash: version.commitHash || null,
+        },
       };
 
+      // The merge strategy needs that file as the common base
+      if (this.options.onConflict === "merge" && version.data) {
+        record.base = version.data;
+      }
+
       store.put(record);
+      for (const [name, data] of Object.entries(databases)) {
+        store.put({
+          key: `${record.key}/${name}`,
+          data,
+          timestamp: record.timestamp,
+          encrypted: this.getEmbeddedDatabaseConfig(name).encrypted,
+        });
+      }
 
       await new Promise((resolve, reject) => {
         tx.oncomplete = resolve;
@@ -93,32 +204,25 @@ class MemoryFile {
       });
 
       idb.close();
+      this.emit("persist", { key: record.key, timestamp: record.timestamp });
+      this.emit("saved", { target: "storage", timestamp: record.timestamp });
       return true;
     } catch (error) {
       console.warn("Failed to persist to IndexedDB:", error);
+      this.emit("persist-error", { error });
       return false;
     }
   }
 
   /**
    * Load database from IndexedDB if available
-   * Returns null if no stored data or if embedded data is newer
+   * Returns null if no stored data, see resolveLoadConflict() for newer files
    */
   async loadFromStorage(password = null) {
     if (!this.options.persistToStorage) return null;
 
     try {
-      const idb = await this.openIndexedDB();
-      const tx = idb.transaction("databases", "readonly");
-      const store = tx.objectStore("databases");
-
-      const record = await new Promise((resolve, reject) => {
-        const request = store.get(this.getStorageKey());
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
-
-      idb.close();
+      const record = await this.getStoredRecord(this.getStorageKey());
 
       if (!record || !record.data) return null;
 
@@ -126,7 +230,7 @@ class MemoryFile {
 
       // Decrypt if needed
       if (record.encrypted && this.isEncryptedData(binaryData)) {
-        if (!password) {
+        if (!password && !(await this.hasRecipientKey(binaryData))) {
           throw new Error("Password required: Stored database is encrypted");
         }
         binaryData = await this.decryptData(binaryData, password);
@@ -141,6 +245,8 @@ class MemoryFile {
       return {
         data: binaryData,
         timestamp: record.timestamp,
+        basedOn: record.basedOn || null,
+        base: record.base || null,
       };
     } catch (error) {
       console.warn("Failed to load from IndexedDB:", error);
@@ -148,6 +254,24 @@ class MemoryFile {
     }
   }
 
+  /**
+   * Read one record of the databases store
+   */
+  async getStoredRecord(key) {
+    const idb = await this.openIndexedDB();
+    const tx = idb.transaction("databases", "readonly");
+    const store = tx.objectStore("databases");
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    idb.close();
+    return record;
+  }
+
   /**
    * Clear persisted data from IndexedDB
    */
@@ -157,6 +281,9 @@ class MemoryFile {
       const tx = idb.transaction("databases", "readwrite");
       const store = tx.objectStore("databases");
       store.delete(this.getStorageKey());
+      for (const name of Object.keys(this.options.databases)) {
+        store.delete(`${this.getStorageKey()}/${name}`);
+      }
 
       await new Promise((resolve, reject) => {
         tx.oncomplete = resolve;
@@ -204,6 +331,202 @@ class MemoryFile {
     }
   }
 
+  /**
+   * Get the file the last save wrote to, so saves skip the file picker
+   * After a reload the handle comes from IndexedDB and write permission is
+   * requested again, which needs a user gesture such as a Save click.
+   * Returns null if no file was saved yet or permission was refused
+   */
+  async getFileHandle() {
+    const handle = this.fileHandle || (await this.loadFileHandle());
+    if (!handle) return null;
+
+    if (typeof handle.queryPermission === "function") {
+      try {
+        const descriptor = { mode: "readwrite" };
+        let permission = await handle.queryPermission(descriptor);
+        if (permission === "prompt") {
+          permission = await handle.requestPermission(descriptor);
+        }
+        if (permission !== "granted") return null;
+      } catch (error) {
+        console.warn("Failed to get file permission:", error);
+        return null;
+      }
+    }
+
+    this.fileHandle = handle;
+    return handle;
+  }
+
+  /**
+   * Read the stored file handle from IndexedDB
+   */
+  async loadFileHandle() {
+    try {
+      const idb = await this.openIndexedDB();
+      const tx = idb.transaction("handles", "readonly");
+      const store = tx.objectStore("handles");
+
+      const record = await new Promise((resolve, reject) => {
+        const request = store.get(this.getStorageKey());
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      idb.close();
+      return record ? record.handle : null;
+    } catch (error) {
+      console.warn("Failed to load file handle:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the file handle for later saves, also across reloads
+   */
+  async storeFileHandle(handle) {
+    this.fileHandle = handle;
+
+    try {
+      const idb = await this.openIndexedDB();
+      const tx = idb.transaction("handles", "readwrite");
+      tx.objectStore("handles").put({
+        key: this.getStorageKey(),
+        handle,
+        name: handle.name,
+        timestamp: Date.now(),
+      });
+
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+
+      idb.close();
+      return true;
+    } catch (error) {
+      // The handle still works until the page is closed
+      console.warn("Failed to store file handle:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the saved file, the next save asks for a file again
+   */
+  async forgetFileHandle() {
+    this.fileHandle = null;
+
+    try {
+      const idb = await this.openIndexedDB();
+      const tx = idb.transaction("handles", "readwrite");
+      tx.objectStore("handles").delete(this.getStorageKey());
+
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+
+      idb.close();
+      return true;
+    } catch (error) {
+      console.warn("Failed to forget file handle:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Create an ECDH P-256 key pair for opening files shared with this browser
+   * The private key is stored in IndexedDB and cannot be exported. Give the
+   * public key to the owner of a file, who adds it with addRecipient()
+   * @param {string} name - Label shown to owners, e.g. the user's name
+   * @returns {Promise<Object>} { id, name, publicKey (JWK) }
+   */
+  async createKeyPair(name = null) {
+    const keyPair = await crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const { kty, crv, x, y } = await crypto.subtle.exportKey(
+      "jwk",
+      keyPair.publicKey
+    );
+    const publicKey = { kty, crv, x, y };
+    const id = await this.getKeyId(publicKey);
+
+    const idb = await this.openIndexedDB();
+    const tx = idb.transaction("keys", "readwrite");
+    tx.objectStore("keys").put({
+      key: id,
+      name,
+      publicKey,
+      privateKey: keyPair.privateKey,
+      created: Date.now(),
+    });
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+
+    idb.close();
+    return { id, name, publicKey };
+  }
+
+  /**
+   * Key pairs stored in this browser, without their private keys
+   * @returns {Promise<Array>} { id, name, publicKey, created }
+   */
+  async getKeyPairs() {
+    const records = await this.getStoredKeyPairs();
+    return records.map((record) => ({
+      id: record.key,
+      name: record.name,
+      publicKey: record.publicKey,
+      created: record.created,
+    }));
+  }
+
+  /**
+   * Delete a stored key pair
+   * Files shared only with this key pair can no longer be opened here
+   */
+  async deleteKeyPair(id) {
+    const idb = await this.openIndexedDB();
+    const tx = idb.transaction("keys", "readwrite");
+    tx.objectStore("keys").delete(id);
+
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+
+    idb.close();
+    return true;
+  }
+
+  /**
+   * Read all records of the keys store, empty without IndexedDB
+   */
+  async getStoredKeyPairs() {
+    if (typeof indexedDB === "undefined") return [];
+
+    const idb = await this.openIndexedDB();
+    const tx = idb.transaction("keys", "readonly");
+    const store = tx.objectStore("keys");
+
+    const records = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    idb.close();
+    return records;
+  }
+
   /**
    * Check if database was loaded from IndexedDB storage
    */
@@ -238,15 +561,50 @@ class MemoryFile {
   }
 
   /**
-   * Load database from embedded script tag
+   * Load the database from IndexedDB or the embedded script tag, then run
+   * pending migrations from the migrations option
+   */
+  async loadEmbeddedDatabase(password = null) {
+    // Merging a diverged IndexedDB copy and migrations write to the
+    // database, which must not autosave to a file without a user gesture
+    this.loading = true;
+    let migrated;
+    try {
+      await this.readEmbeddedDatabase(password);
+      await this.loadEmbeddedDatabases(password);
+      migrated = await this.migrateOnLoad();
+    } finally {
+      this.loading = false;
+    }
+
+    this.emit("load", {
+      source: this.loadSource,
+      encrypted: !!this.currentPassword || !!this.envelope,
+      commit: this.commitMetadata,
+      migrated,
+      conflict: this.loadConflict,
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Load database from embedded script tag, without running migrations
    * Checks IndexedDB first for persisted changes (useful when HTML can't be updated)
    * @param {string} password - Password for encrypted databases
    */
-  async loadEmbeddedDatabase(password = null) {
+  async readEmbeddedDatabase(password = null) {
     if (!this.sqlJS) {
       await this.initSQL();
     }
 
+    try {
+      this.loadCommitMetadata();
+    } catch (metadataError) {
+      // Commit metadata is optional, never block loading the data itself
+      console.warn(metadataError.message);
+    }
+
     const dbScript = document.getElementById(this.options.embedId);
     if (!dbScript) {
       throw new Error(
@@ -254,31 +612,51 @@ class MemoryFile {
       );
     }
 
+    const base64Data = dbScript.textContent.trim();
+    this.embeddedVersion = {
+      savedAt: dbScript.getAttribute("data-saved-at"),
+      commitHash:
+        dbScript.getAttribute("data-commit") ||
+        this.commitMetadata?.commitHash ||
+        null,
+      data: base64Data,
+    };
+    this.loadConflict = null;
+
     // Check IndexedDB for persisted data first
     if (this.options.persistToStorage) {
-      try {
-        const stored = await this.loadFromStorage(password);
-        if (stored && stored.data) {
+      const stored = await this.loadFromStorage(password);
+      const choice =
+        stored && stored.data
+          ? await this.resolveLoadConflict(stored, this.embeddedVersion)
+          : "embedded";
+
+      if (choice === "merge") {
+        return this.mergeStoredCopy(stored, base64Data, password);
+      }
+
+      if (choice === "storage") {
+        try {
           this.db = new this.sqlJS.Database(stored.data);
           this.loadedFromStorage = true;
+          this.loadSource = "storage";
           if (this.options.encrypted && password) {
             this.currentPassword = password;
           }
           return this.db;
+        } catch (storageError) {
+          // Storage load failed, fall through to embedded data
+          console.warn(
+            "Storage load failed, using embedded data:",
+            storageError.message
+          );
         }
-      } catch (storageError) {
-        // Storage load failed, fall through to embedded data
-        console.warn(
-          "Storage load failed, using embedded data:",
-          storageError.message
-        );
       }
     }
 
-    const base64Data = dbScript.textContent.trim();
-
     if (!base64Data || base64Data.length === 0) {
       this.db = new this.sqlJS.Database();
+      this.loadSource = "empty";
 
       if (this.options.encrypted && password) {
         this.currentPassword = password;
@@ -291,7 +669,7 @@ class MemoryFile {
       let binaryData = this.base64ToUint8Array(base64Data);
 
       if (this.options.encrypted && this.isEncryptedData(binaryData)) {
-        if (!password) {
+        if (!password && !(await this.hasRecipientKey(binaryData))) {
           throw new Error("Password required: This database is encrypted");
         }
 
@@ -306,6 +684,7 @@ class MemoryFile {
 
       this.db = new this.sqlJS.Database(finalData);
       this.loadedFromStorage = false;
+      this.loadSource = "embedded";
       return this.db;
     } catch (error) {
       throw new Error(`Failed to load database: ${error.message}`);
@@ -313,632 +692,3484 @@ class MemoryFile {
   }
 
   /**
-   * Create a new empty database
+   * Settings of a named database from the databases option
+   * Encryption and compression default to the main database's
    */
-  async createDatabase(schema = null) {
-    if (!this.sqlJS) {
-      await this.initSQL();
-    }
-
-    this.db = new this.sqlJS.Database();
-
-    if (schema) {
-      // Execute schema SQL
-      this.db.run(schema);
-    }
-
-    return this.db;
+  getEmbeddedDatabaseConfig(name) {
+    const config = this.options.databases[name] || {};
+    return {
+      embedId: config.embedId || `${this.options.embedId}-${name}`,
+      encrypted: config.encrypted ?? this.options.encrypted,
+      compression: config.compression ?? this.options.compression,
+      password: config.password || null, // Defaults to the main password
+    };
   }
 
   /**
-   * Execute SQL query
-   * Returns array of row objects: [{col1: val1, col2: val2}, ...]
+   * Load the databases option and attach each under its name
+   *   databases: { settings: { encrypted: false } }
+   * reads <script id="embedded-db-settings"> and queries use settings.table.
+   * When the main database came from IndexedDB the named ones do too.
    */
-  exec(sql, params = []) {
-    if (!this.db) {
-      throw new Error(
-        "Database not initialized. Call loadEmbeddedDatabase() or createDatabase() first."
-      );
-    }
+  async loadEmbeddedDatabases(password = null) {
+    for (const name of Object.keys(this.options.databases)) {
+      const config = this.getEmbeddedDatabaseConfig(name);
+      let base64Data = null;
+
+      if (this.loadedFromStorage) {
+        const record = await this.getStoredRecord(
+          `${this.getStorageKey()}/${name}`
+        ).catch(() => null);
+        base64Data = record?.data || null;
+      }
 
-    try {
-      if (params.length > 0) {
-        const stmt = this.db.prepare(sql);
-        stmt.bind(params);
-        const result = [];
-        while (stmt.step()) {
-          result.push(stmt.getAsObject());
-        }
-        stmt.free();
-        return result;
-      } else {
-        // Normalize format: convert db.exec() result to array of objects
-        const rawResult = this.db.exec(sql);
-        if (!rawResult || rawResult.length === 0) {
-          return [];
+      if (base64Data === null) {
+        const script = document.getElementById(config.embedId);
+        if (!script) {
+          throw new Error(
+            `No embedded database found with id: ${config.embedId}`
+          );
         }
+        base64Data = script.textContent.trim();
+      }
 
-        const { columns, values } = rawResult[0];
-        return values.map((row) => {
-          const obj = {};
-          columns.forEach((col, i) => {
-            obj[col] = row[i];
-          });
-          return obj;
-        });
+      let db;
+      try {
+        db = base64Data
+          ? new this.sqlJS.Database(
+              await this.decodeDatabase(base64Data, config.password || password)
+            )
+          : new this.sqlJS.Database();
+      } catch (error) {
+        throw new Error(`Failed to load database ${name}: ${error.message}`);
       }
-    } catch (error) {
-      throw new Error(`SQL execution failed: ${error.message}`);
+
+      this.attachedDatabases.get(name)?.close();
+      this.attachDatabase(name, db);
+      this.attachedDatabases.set(name, db);
     }
   }
 
   /**
-   * Run SQL statement (for INSERT, UPDATE, DELETE)
+   * Decode a base64 database, decrypting and decompressing as needed
    */
-  run(sql, params = []) {
-    if (!this.db) {
-      throw new Error("Database not initialized");
-    }
+  async decodeDatabase(base64Data, password = null) {
+    let binaryData = this.base64ToUint8Array(base64Data);
 
-    try {
-      this.db.run(sql, params);
-
-      if (this.options.autoSave) {
-        this.saveToFile().catch((err) =>
-          console.error("Auto-save failed:", err)
-        );
+    if (this.isEncryptedData(binaryData)) {
+      if (!password && !(await this.hasRecipientKey(binaryData))) {
+        throw new Error("Password required: This database is encrypted");
       }
-    } catch (error) {
-      throw new Error(`SQL execution failed: ${error.message}`);
+
+      // Keep the encryption state of the main database
+      binaryData = await this.decryptDetached(binaryData, password);
     }
-  }
 
-  /**
-   * Prepare a statement for multiple executions
-   */
-  prepare(sql) {
-    if (!this.db) {
-      throw new Error("Database not initialized");
+    // gzip magic bytes
+    if (binaryData[0] === 0x1f && binaryData[1] === 0x8b) {
+      binaryData = await this.decompress(binaryData);
     }
 
-    return this.db.prepare(sql);
+    return binaryData;
   }
 
   /**
-   * Export database to binary array
+   * Export the named databases with their own compression and encryption
+   * @param {string} password - Used when a database has no password of its own
+   * @param {boolean} strict - Throw instead of storing unencrypted without a password
+   * @returns {Promise<Object>} Name -> base64 data
    */
-  exportDatabase() {
-    if (!this.db) {
-      throw new Error("Database not initialized");
-    }
+  async encodeEmbeddedDatabases(password = null, strict = true) {
+    const encoded = {};
 
-    return this.db.export();
+    for (const name of Object.keys(this.options.databases)) {
+      const db = this.attachedDatabases.get(name);
+      if (!db) continue;
+
+      const config = this.getEmbeddedDatabaseConfig(name);
+      let data = db.export();
+
+      if (config.compression) {
+        data = await this.compress(data);
+      }
+
+      if (config.encrypted && config.password) {
+        // A database with its own password is not shared with recipients
+        data = await this.encryptData(data, config.password, {
+          recipients: false,
+        });
+      } else if (config.encrypted && this.hasEncryptionKey(password)) {
+        data = await this.encryptData(data, password);
+      } else if (config.encrypted && strict) {
+        throw new Error(
+          `Password required: Encryption is enabled for database ${name}`
+        );
+      }
+
+      encoded[name] = this.uint8ArrayToBase64(data);
+    }
+
+    return encoded;
   }
 
   /**
-   * Save database back to the HTML file
-   * Also persists to IndexedDB for browsers that can't update files
-   * @param {string} filename - Filename to save as
-   * @param {string} password - Password for encryption (uses current if not specified)
-   * @param {boolean} changePassword - Whether this is a password change
+   * Pick between the IndexedDB copy and the embedded database
+   * Without a conflict the IndexedDB copy wins. A conflict means the copy
+   * was edited from another version than the file being opened, e.g. an
+   * updated file was saved over the old one. The onConflict option decides:
+   *   "prefer-newer"    (default) whichever was saved last
+   *   "prefer-embedded" the file
+   *   "prefer-storage"  the IndexedDB copy
+   *   "prompt"          ask the user with window.confirm
+   *   "merge"           three-way merge the file into the copy (needs memoryfile-merge.js)
+   *   function          called with { storage, embedded }, returns one of
+   *                     "storage", "embedded" or "merge"
+   * @returns {Promise<string>} "storage", "embedded" or "merge"
    */
-  async saveToFile(
-    filename = "app.html",
-    password = null,
-    changePassword = false
-  ) {
-    if (!this.db) {
-      throw new Error("Database not initialized");
+  async resolveLoadConflict(stored, embedded) {
+    const basedOn = stored.basedOn || {};
+    const diverged =
+      embedded.data &&
+      (embedded.savedAt || embedded.commitHash) &&
+      (basedOn.savedAt !== embedded.savedAt ||
+        basedOn.commitHash !== embedded.commitHash);
+
+    if (!diverged) {
+      // Empty or unstamped files predate this check, keep the old behavior
+      return "storage";
     }
 
-    const capabilities = MemoryFile.getSaveCapabilities();
+    const strategy = this.options.onConflict;
+    const info = {
+      storage: { timestamp: stored.timestamp, basedOn: stored.basedOn },
+      embedded: { savedAt: embedded.savedAt, commitHash: embedded.commitHash },
+    };
+    const embeddedTime = Date.parse(embedded.savedAt);
+    const newer = embeddedTime > stored.timestamp ? "embedded" : "storage";
+
+    let choice;
+    if (typeof strategy === "function") {
+      choice = await strategy(info);
+    } else if (strategy === "prefer-newer") {
+      choice = newer;
+    } else if (strategy === "prefer-embedded") {
+      choice = "embedded";
+    } else if (strategy === "prefer-storage") {
+      choice = "storage";
+    } else if (strategy === "prompt") {
+      const fileDate = isNaN(embeddedTime)
+        ? "unknown"
+        : new Date(embeddedTime).toLocaleString();
+      choice = window.confirm(
+        "This file and the copy kept in this browser have different changes.\n\n" +
+          `File saved: ${fileDate}\n` +
+          `Browser copy saved: ${new Date(
+            stored.timestamp
+          ).toLocaleString()}\n\n` +
+          "OK opens the file, Cancel keeps the browser copy."
+      )
+        ? "embedded"
+        : "storage";
+    } else if (strategy === "merge") {
+      choice = "merge";
+    } else {
+      throw new Error(`Unknown onConflict strategy: ${strategy}`);
+    }
 
-    // Always persist to IndexedDB first (instant, reliable)
-    // This ensures data survives even if file save fails or isn't supported
-    if (this.options.persistToStorage) {
-      if (changePassword && password) {
-        this.currentPassword = password;
-      }
-      await this.persistToStorage();
+    if (!["storage", "embedded", "merge"].includes(choice)) {
+      throw new Error(`Invalid onConflict choice: ${choice}`);
     }
 
-    try {
-      // Export database
-      let exportedDb = this.db.export();
+    if (choice === "merge" && !stored.base) {
+      // Copies stored before merge was enabled carry no base
+      console.warn("No merge base stored, keeping the newer copy");
+      choice = newer;
+    }
 
-      // Compress if enabled
-      if (this.options.compression) {
-        exportedDb = await this.compress(exportedDb);
+    this.loadConflict = { ...info, strategy, resolution: choice };
+    return choice;
+  }
+
+  /**
+   * Merge the embedded database into the IndexedDB copy
+   * The stored base is the file the copy was edited from
+   */
+  async mergeStoredCopy(stored, base64Data, password) {
+    if (typeof MemoryFileMerge === "undefined") {
+      throw new Error(
+        "onConflict merge requires memoryfile-merge.js to be loaded"
+      );
+    }
+
+    this.db = new this.sqlJS.Database(stored.data);
+    this.loadedFromStorage = true;
+    this.loadSource = "merged";
+    if (this.options.encrypted && password) {
+      this.currentPassword = password;
+    }
+
+    const result = await new MemoryFileMerge(this).merge(
+      this,
+      this.base64ToUint8Array(base64Data),
+      { base: this.base64ToUint8Array(stored.base), password }
+    );
+    this.loadConflict.merge = {
+      applied: result.applied,
+      unresolved: result.unresolved.length,
+    };
+
+    return this.db;
+  }
+
+  /**
+   * Extract the embedded database and commit metadata from HTML source
+   * Returns data as base64 (null if the file has no embedded database)
+   */
+  extractEmbeddedData(htmlContent) {
+    const blockRegex = (id) =>
+      new RegExp(`<script[^>]*id="${id}"[^>]*>([\\s\\S]*?)<\\/script>`, "i");
+
+    const dbMatch = htmlContent.match(blockRegex(this.options.embedId));
+    const metadataMatch = htmlContent.match(
+      blockRegex(this.options.commitMetadataId)
+    );
+
+    let commitMetadata = null;
+    if (metadataMatch && metadataMatch[1].trim()) {
+      try {
+        commitMetadata = JSON.parse(metadataMatch[1].trim());
+      } catch (error) {
+        throw new Error(`Invalid commit metadata: ${error.message}`);
       }
+    }
 
-      let finalData = exportedDb;
-      const encryptPassword = password || this.currentPassword;
+    return {
+      data: dbMatch ? dbMatch[1].trim() : null,
+      commitMetadata,
+    };
+  }
 
-      if (this.options.encrypted) {
-        if (!encryptPassword) {
-          throw new Error(
-            "Password required: Encryption is enabled but no password provided"
-          );
-        }
+  /**
+   * Open another copy of the database without replacing this.db
+   * Encryption and compression are detected from the data itself
+   * @param {string|Blob|Uint8Array} source - HTML source, an HTML File, or exported database bytes
+   * @param {string} password - Password if the copy is encrypted
+   * @returns {Promise<{db: Object, commitMetadata: Object|null, encryption: Object|null}>}
+   *   Caller must close db. encryption is the copy's own state, see decryptSnapshot()
+   */
+  async openSnapshot(source, password = null) {
+    if (!this.sqlJS) {
+      await this.initSQL();
+    }
 
-        finalData = await this.encryptData(exportedDb, encryptPassword);
+    let binaryData = null;
+    let commitMetadata = null;
+    let encryption = null;
+
+    if (source instanceof Uint8Array) {
+      binaryData = source;
+    } else {
+      const htmlContent =
+        typeof source === "string" ? source : await source.text();
+      const embedded = this.extractEmbeddedData(htmlContent);
+
+      if (embedded.data === null) {
+        throw new Error(
+          `No embedded database found with id: ${this.options.embedId}`
+        );
       }
 
-      const base64Db = this.uint8ArrayToBase64(finalData);
-      const htmlContent = this.rebuildHTML(base64Db);
+      commitMetadata = embedded.commitMetadata;
+      if (embedded.data) {
+        binaryData = this.base64ToUint8Array(embedded.data);
+      }
+    }
 
-      if ("showSaveFilePicker" in window) {
-        try {
-          const handle = await window.showSaveFilePicker({
-            suggestedName: filename,
-            types: [
-              {
-                description: "HTML Files",
-                accept: { "text/html": [".html"] },
-              },
-            ],
-          });
+    if (binaryData && this.isEncryptedData(binaryData)) {
+      if (!password && !(await this.hasRecipientKey(binaryData))) {
+        throw new Error("Password required: This database is encrypted");
+      }
 
-          const writable = await handle.createWritable();
-          await writable.write(htmlContent);
-          await writable.close();
+      // Keep the encryption state of the loaded database, not the snapshot
+      ({ data: binaryData, encryption } = await this.decryptSnapshot(
+        binaryData,
+        password
+      ));
+    }
 
-          if (changePassword && password) {
-            this.currentPassword = password;
-          }
+    // gzip magic bytes
+    if (binaryData && binaryData[0] === 0x1f && binaryData[1] === 0x8b) {
+      binaryData = await this.decompress(binaryData);
+    }
 
-          return {
-            success: true,
-            method: "file-system-access",
-            savedInPlace: true,
-            persistedToStorage: this.options.persistToStorage,
-            encrypted: this.options.encrypted,
-            passwordChanged: changePassword && !!password,
-            capabilities: capabilities,
-          };
-        } catch (err) {
-          if (err.name === "AbortError") {
-            // User cancelled file picker, but data is already in IndexedDB
-            return {
-              success: this.options.persistToStorage, // Still succeeded if persisted
-              cancelled: true,
-              persistedToStorage: this.options.persistToStorage,
-              capabilities: capabilities,
-              message: this.options.persistToStorage
-                ? "File save cancelled, but changes are saved locally."
-                : undefined,
-            };
-          }
-          throw err;
-        }
-      } else {
-        // No File System Access API - data already persisted to IndexedDB above
+    const db = binaryData
+      ? new this.sqlJS.Database(binaryData)
+      : new this.sqlJS.Database();
 
-        // Try Web Share API for iOS (for export/portability)
-        if (capabilities.browser.isIOSAnyBrowser && capabilities.share) {
-          try {
-            const file = new File([htmlContent], filename, {
-              type: "text/html",
-            });
-            if (navigator.canShare && navigator.canShare({ files: [file] })) {
-              await navigator.share({
-                files: [file],
-                title: filename,
-              });
+    return { db, commitMetadata, encryption };
+  }
 
-              return {
-                success: true,
-                method: "share",
-                savedInPlace: false,
-                persistedToStorage: this.options.persistToStorage,
-                encrypted: this.options.encrypted,
-                passwordChanged: changePassword && !!password,
-                capabilities: capabilities,
-                message: this.options.persistToStorage
-                  ? "Changes saved. Use Share to export a portable copy."
-                  : "File shared. Save to Files app to keep your changes.",
-              };
-            }
-          } catch (shareErr) {
-            if (shareErr.name === "AbortError") {
-              // Share cancelled, but data is in IndexedDB
-              return {
-                success: this.options.persistToStorage,
-                cancelled: true,
-                persistedToStorage: this.options.persistToStorage,
-                capabilities: capabilities,
-                message: this.options.persistToStorage
-                  ? "Export cancelled, but changes are saved locally."
-                  : undefined,
-              };
-            }
-            // Continue to fallback
-          }
-        }
+  /**
+   * Create a new empty database
+   */
+  async createDatabase(schema = null) {
+    if (!this.sqlJS) {
+      await this.initSQL();
+    }
 
-        // Standard download fallback (for portability, not required for persistence)
-        this.fallbackDownload(htmlContent, filename);
+    this.db = new this.sqlJS.Database();
 
-        return {
-          success: true,
-          method: this.options.persistToStorage ? "storage" : "download",
-          savedInPlace: false,
-          persistedToStorage: this.options.persistToStorage,
-          encrypted: this.options.encrypted,
-          passwordChanged: changePassword && !!password,
-          capabilities: capabilities,
-          message: this.options.persistToStorage
-            ? "Changes saved. Downloaded copy for backup/portability."
-            : capabilities.messages.limitation,
-        };
+    if (schema) {
+      // Execute schema SQL
+      this.db.run(schema);
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Execute SQL query
+   * Returns array of row objects: [{col1: val1, col2: val2}, ...]
+   */
+  exec(sql, params = []) {
+    if (!this.db) {
+      throw new Error(
+        "Database not initialized. Call loadEmbeddedDatabase() or createDatabase() first."
+      );
+    }
+
+    try {
+      if (params.length > 0) {
+        const stmt = this.db.prepare(sql);
+        stmt.bind(params);
+        const result = [];
+        while (stmt.step()) {
+          result.push(stmt.getAsObject());
+        }
+        stmt.free();
+        return result;
+      } else {
+        // Normalize format: convert db.exec() result to array of objects
+        const rawResult = this.db.exec(sql);
+        if (!rawResult || rawResult.length === 0) {
+          return [];
+        }
+
+        const { columns, values } = rawResult[0];
+        return values.map((row) => {
+          const obj = {};
+          columns.forEach((col, i) => {
+            obj[col] = row[i];
+          });
+          return obj;
+        });
       }
     } catch (error) {
-      throw new Error(`Save failed: ${error.message}`);
+      throw new Error(`SQL execution failed: ${error.message}`);
     }
   }
 
   /**
-   * Quick save to IndexedDB only (no file download)
-   * Use this for auto-save or when you don't need a file export
+   * Run SQL statement (for INSERT, UPDATE, DELETE)
    */
-  async save() {
+  run(sql, params = []) {
     if (!this.db) {
       throw new Error("Database not initialized");
     }
+    this.assertNoImport();
 
-    if (!this.options.persistToStorage) {
-      throw new Error("Storage persistence is disabled");
+    try {
+      this.db.run(sql, params);
+      this.markDirty();
+    } catch (error) {
+      throw new Error(`SQL execution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prepare a statement for multiple executions
+   */
+  prepare(sql) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    return this.db.prepare(sql);
+  }
+
+  /**
+   * Record that the database changed since it was last saved to a file
+   * run() calls this, call it after writing through this.db directly
+   */
+  markDirty() {
+    if (this.transactionDepth > 0) {
+      this.pendingChanges = true;
+      return;
+    }
+
+    this.emit("change");
+    if (!this.dirty) {
+      this.dirty = true;
+      this.emit("dirty");
     }
+    if (this.options.warnOnUnload) {
+      this.attachPageListeners();
+    }
+
+    if (this.options.autoSave === "storage") {
+      this.scheduleAutoSave();
+    } else if (this.options.autoSave && !this.loading) {
+      this.saveToFile().catch((err) => console.error("Auto-save failed:", err));
+    }
+  }
+
+  /**
+   * Check for changes not yet saved to a file
+   * Changes persisted only to IndexedDB still count as unsaved
+   */
+  isDirty() {
+    return this.dirty;
+  }
+
+  /**
+   * Persist to IndexedDB once writes pause for autoSaveDelay
+   */
+  scheduleAutoSave() {
+    clearTimeout(this.autoSaveTimer);
+    this.autoSaveTimer = setTimeout(
+      () => this.flushAutoSave(),
+      this.options.autoSaveDelay
+    );
+  }
+
+  /**
+   * Run a scheduled IndexedDB autosave now
+   * @returns {Promise<boolean>} True if there was a pending save and it succeeded
+   */
+  async flushAutoSave() {
+    if (!this.autoSaveTimer) {
+      return false;
+    }
+    clearTimeout(this.autoSaveTimer);
+    this.autoSaveTimer = null;
+
+    if (this.transactionDepth > 0) {
+      // Exporting would end the transaction, try again later
+      this.scheduleAutoSave();
+      return false;
+    }
+
+    return (await this.persistToStorage()) === true;
+  }
+
+  /**
+   * Flush autosave when the page is hidden and warn before unloading
+   * with changes that were not saved to a file
+   */
+  attachPageListeners() {
+    if (this.pageListeners || typeof window === "undefined") {
+      return;
+    }
+
+    const onBeforeUnload = (event) => {
+      this.flushAutoSave();
+      if (this.dirty && this.options.warnOnUnload) {
+        event.preventDefault();
+        event.returnValue = "";
+        return "";
+      }
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        this.flushAutoSave();
+      }
+    };
+
+    window.addEventListener("beforeunload", onBeforeUnload);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    this.pageListeners = { onBeforeUnload, onVisibilityChange };
+  }
+
+  detachPageListeners() {
+    if (!this.pageListeners) {
+      return;
+    }
+
+    window.removeEventListener(
+      "beforeunload",
+      this.pageListeners.onBeforeUnload
+    );
+    document.removeEventListener(
+      "visibilitychange",
+      this.pageListeners.onVisibilityChange
+    );
+    this.pageListeners = null;
+  }
+
+  /**
+   * Clear the dirty flag after the database was written to a file
+   * version is the stamp written to the file, later IndexedDB copies are
+   * recorded as edited from it
+   */
+  markSaved(method, filename, passwordChanged = false, version = null) {
+    this.dirty = false;
+    if (version) {
+      this.embeddedVersion = version;
+    }
+    if (passwordChanged) {
+      this.emit("password-changed");
+    }
+    this.emit("save", { method, filename });
+    this.emit("saved", { target: "file", timestamp: Date.now() });
+  }
+
+  /**
+   * markSaved() for saveToFile(), then store the IndexedDB copy again
+   * The copy written before the save still names the previous file as its
+   * base, which would read as a conflict when the saved file is reopened
+   */
+  async markFileSaved(method, filename, passwordChanged, version, persist) {
+    this.markSaved(method, filename, passwordChanged, version);
+    if (persist) {
+      await this.persistToStorage();
+    }
+  }
+
+  /**
+   * Run several statements as one unit
+   * Commits when the callback resolves and rolls back when it throws.
+   * Nested calls use savepoints. Writes inside the callback mark the
+   * database dirty (and trigger autoSave) once, after the outer commit.
+   * Other code that uses this MemoryFile while the callback awaits runs
+   * inside the same transaction.
+   * @param {Function} callback - Called with this MemoryFile, may be async
+   * @returns {Promise<*>} The callback's return value
+   */
+  async transaction(callback) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+    this.assertNoImport();
+
+    const savepoint =
+      this.transactionDepth > 0 ? `memoryfile_${this.transactionDepth}` : null;
+    this.db.exec(savepoint ? `SAVEPOINT ${savepoint}` : "BEGIN");
+    this.transactionDepth++;
+
+    let result;
+    try {
+      result = await callback(this);
+      this.db.exec(savepoint ? `RELEASE ${savepoint}` : "COMMIT");
+    } catch (error) {
+      if (savepoint) {
+        this.db.exec(`ROLLBACK TO ${savepoint}; RELEASE ${savepoint}`);
+      } else {
+        this.db.exec("ROLLBACK");
+        this.pendingChanges = false;
+      }
+      throw error;
+    } finally {
+      this.transactionDepth--;
+    }
+
+    if (this.transactionDepth === 0 && this.pendingChanges) {
+      this.pendingChanges = false;
+      this.markDirty();
+    }
+
+    return result;
+  }
+
+  /**
+   * Run an import that awaits inside its transaction
+   * Writes through run() or transaction() while it yields would join the
+   * import and be lost if it rolls back, so they throw until it finishes
+   * @param {string} name - Import method named in the error
+   * @param {Function} callback - Import body, runs inside the transaction
+   */
+  async runImport(name, callback) {
+    return this.transaction(async () => {
+      this.activeImport = name;
+      try {
+        return await callback();
+      } finally {
+        this.activeImport = null;
+      }
+    });
+  }
+
+  assertNoImport() {
+    if (this.activeImport) {
+      throw new Error(`Cannot write while ${this.activeImport}() is running`);
+    }
+  }
+
+  /**
+   * Export database to binary array
+   */
+  exportDatabase() {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    // sql.js closes and reopens the database to export it, which would
+    // silently end an open transaction
+    if (this.transactionDepth > 0) {
+      throw new Error("Cannot export the database during a transaction");
+    }
+
+    const data = this.db.export();
+
+    // Reopening the database also dropped attached databases
+    for (const [name, attached] of this.attachedDatabases) {
+      this.attachDatabase(name, attached);
+    }
+
+    return data;
+  }
+
+  /**
+   * Save database back to the HTML file
+   * Also persists to IndexedDB for browsers that can't update files
+   * @param {string|Function} filename - Filename, or function receiving the rebuilt HTML and returning one
+   * @param {string} password - Password for encryption (uses current if not specified)
+   * @param {boolean} changePassword - Whether this is a password change
+   * @param {Object} options - { saveAs, remember, persist }
+   *   saveAs shows the file picker even if a file was saved before,
+   *   remember: false keeps the picked file out of later saves,
+   *   persist: false leaves the IndexedDB copy to the caller
+   */
+  async saveToFile(
+    filename = "app.html",
+    password = null,
+    changePassword = false,
+    options = {}
+  ) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    const capabilities = MemoryFile.getSaveCapabilities();
+    const persist = this.options.persistToStorage && options.persist !== false;
+
+    // Always persist to IndexedDB first (instant, reliable)
+    // This ensures data survives even if file save fails or isn't supported
+    if (persist) {
+      if (changePassword && password) {
+        this.currentPassword = password;
+      }
+      await this.persistToStorage();
+    }
+
+    try {
+      // Export database
+      let exportedDb = this.exportDatabase();
+
+      // Compress if enabled
+      if (this.options.compression) {
+        exportedDb = await this.compress(exportedDb);
+      }
+
+      let finalData = exportedDb;
+      const encryptPassword = password || this.currentPassword;
+
+      if (this.options.encrypted) {
+        if (!this.hasEncryptionKey(encryptPassword)) {
+          throw new Error(
+            "Password required: Encryption is enabled but no password provided"
+          );
+        }
+
+        finalData = await this.encryptData(exportedDb, encryptPassword);
+      }
+
+      const base64Db = this.uint8ArrayToBase64(finalData);
+      const databases = await this.encodeEmbeddedDatabases(encryptPassword);
+      const version = {
+        savedAt: new Date().toISOString(),
+        commitHash: this.commitMetadata?.commitHash || null,
+        data: base64Db,
+      };
+      const htmlContent = this.rebuildHTML(base64Db, version, databases);
+
+      if (typeof filename === "function") {
+        filename = await filename(htmlContent);
+      }
+
+      if ("showSaveFilePicker" in window) {
+        try {
+          let handle = options.saveAs ? null : await this.getFileHandle();
+          let reusedHandle = !!handle;
+
+          if (handle) {
+            try {
+              await this.writeFile(handle, htmlContent);
+            } catch (writeError) {
+              // The file was moved or deleted since the last save
+              console.warn("Saved file is no longer writable:", writeError);
+              await this.forgetFileHandle();
+              handle = null;
+              reusedHandle = false;
+            }
+          }
+
+          if (!handle) {
+            handle = await window.showSaveFilePicker({
+              suggestedName: filename,
+              types: [
+                {
+                  description: "HTML Files",
+                  accept: { "text/html": [".html"] },
+                },
+              ],
+            });
+
+            await this.writeFile(handle, htmlContent);
+            if (options.remember !== false) {
+              await this.storeFileHandle(handle);
+            }
+          }
+          filename = handle.name || filename;
+
+          if (changePassword && password) {
+            this.currentPassword = password;
+          }
+          await this.markFileSaved(
+            "file-system-access",
+            filename,
+            changePassword && !!password,
+            version,
+            persist
+          );
+
+          return {
+            success: true,
+            method: "file-system-access",
+            savedInPlace: true,
+            reusedHandle,
+            filename,
+            persistedToStorage: persist,
+            encrypted: this.options.encrypted,
+            passwordChanged: changePassword && !!password,
+            capabilities: capabilities,
+          };
+        } catch (err) {
+          if (err.name === "AbortError") {
+            // User cancelled file picker, but data is already in IndexedDB
+            this.emit("save-cancelled", { method: "file-system-access" });
+            return {
+              success: persist, // Still succeeded if persisted
+              cancelled: true,
+              persistedToStorage: persist,
+              capabilities: capabilities,
+              message: persist
+                ? "File save cancelled, but changes are saved locally."
+                : undefined,
+            };
+          }
+          throw err;
+        }
+      } else {
+        // No File System Access API - data already persisted to IndexedDB above
+
+        // Try Web Share API for iOS (for export/portability)
+        if (capabilities.browser.isIOSAnyBrowser && capabilities.share) {
+          try {
+            const file = new File([htmlContent], filename, {
+              type: "text/html",
+            });
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+              await navigator.share({
+                files: [file],
+                title: filename,
+              });
+              await this.markFileSaved(
+                "share",
+                filename,
+                changePassword && !!password,
+                version,
+                persist
+              );
+
+              return {
+                success: true,
+                method: "share",
+                savedInPlace: false,
+                persistedToStorage: persist,
+                encrypted: this.options.encrypted,
+                passwordChanged: changePassword && !!password,
+                capabilities: capabilities,
+                message: persist
+                  ? "Changes saved. Use Share to export a portable copy."
+                  : "File shared. Save to Files app to keep your changes.",
+              };
+            }
+          } catch (shareErr) {
+            if (shareErr.name === "AbortError") {
+              // Share cancelled, but data is in IndexedDB
+              this.emit("save-cancelled", { method: "share" });
+              return {
+                success: persist,
+                cancelled: true,
+                persistedToStorage: persist,
+                capabilities: capabilities,
+                message: persist
+                  ? "Export cancelled, but changes are saved locally."
+                  : undefined,
+              };
+            }
+            // Continue to fallback
+          }
+        }
+
+        // Standard download fallback (for portability, not required for persistence)
+        this.fallbackDownload(htmlContent, filename);
+        await this.markFileSaved(
+          "download",
+          filename,
+          changePassword && !!password,
+          version,
+          persist
+        );
+
+        return {
+          success: true,
+          method: persist ? "storage" : "download",
+          savedInPlace: false,
+          persistedToStorage: persist,
+          encrypted: this.options.encrypted,
+          passwordChanged: changePassword && !!password,
+          capabilities: capabilities,
+          message: persist
+            ? "Changes saved. Downloaded copy for backup/portability."
+            : capabilities.messages.limitation,
+        };
+      }
+    } catch (error) {
+      throw new Error(`Save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a new copy, always asking for the file
+   * Later saves write to the new file
+   */
+  async saveAs(filename = "app.html", password = null) {
+    return this.saveToFile(filename, password, false, { saveAs: true });
+  }
+
+  /**
+   * Write HTML through a File System Access handle
+   */
+  async writeFile(handle, content) {
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+  }
+
+  /**
+   * Quick save to IndexedDB only (no file download)
+   * Use this for auto-save or when you don't need a file export
+   */
+  async save() {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    if (!this.options.persistToStorage) {
+      throw new Error("Storage persistence is disabled");
+    }
+
+    const success = await this.persistToStorage();
+    return {
+      success,
+      method: "storage",
+      persistedToStorage: success,
+    };
+  }
+
+  /**
+   * Read commit metadata from the commit-metadata script tag
+   * Returns null if the page has no commit metadata block
+   */
+  loadCommitMetadata() {
+    const metadataScript = document.getElementById(
+      this.options.commitMetadataId
+    );
+    if (!metadataScript) return null;
+
+    const json = metadataScript.textContent.trim();
+    if (!json) return null;
+
+    try {
+      this.commitMetadata = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid commit metadata: ${error.message}`);
+    }
+
+    return this.commitMetadata;
+  }
+
+  /**
+   * Get metadata of the current commit (null before the first commit)
+   */
+  getCommitMetadata() {
+    return this.commitMetadata;
+  }
+
+  /**
+   * SHA-256 digest of binary data as a hex string
+   */
+  async digestHex(data) {
+    const hashBuffer = await crypto.subtle.digest("SHA-256", data);
+    return Array.from(new Uint8Array(hashBuffer))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Generate commit hash from database bytes and parent commit hash
+   * @param {Uint8Array} dbBytes - Exported database
+   * @param {string|null} parentHash - Hash of the parent commit
+   * @returns {Promise<string>} Hex hash truncated to hashLength
+   */
+  async generateCommitHash(dbBytes, parentHash = null) {
+    const parentBytes = new TextEncoder().encode(parentHash || "");
+    const data = new Uint8Array(dbBytes.length + parentBytes.length);
+    data.set(dbBytes, 0);
+    data.set(parentBytes, dbBytes.length);
+
+    const hashHex = await this.digestHex(data);
+    return hashHex.slice(0, this.options.hashLength);
+  }
+
+  /**
+   * Get basename for commit filenames
+   * Uses the basename option, commit metadata, or the current filename
+   */
+  getCommitBasename() {
+    if (this.options.basename) {
+      return this.options.basename;
+    }
+    if (this.commitMetadata && this.commitMetadata.basename) {
+      return this.commitMetadata.basename;
+    }
+
+    // Strip extension and hash: notes.commit-a1b2c3.html -> notes
+    const filename = decodeURIComponent(
+      window.location.pathname.split("/").pop() || ""
+    );
+    const basename = filename
+      .replace(/\.html?$/i, "")
+      .replace(/\.(commit-)?[a-f0-9]{6,64}$/i, "");
+
+    return basename || "app";
+  }
+
+  /**
+   * Commit the current database as a new version of the file
+   * Writes commit-metadata alongside the database and saves via saveToFile
+   * @param {string} message - Commit message
+   * @param {Object} options - Commit options
+   * @param {string} options.type - Commit type (e.g. "draft", "signed")
+   * @param {string} options.author - Commit author
+   * @param {string} options.filename - Override the generated filename
+   */
+  async commit(message, { type = null, author = null, filename = null } = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    if (typeof message !== "string" || message.trim().length === 0) {
+      throw new Error("Commit message must be a non-empty string");
+    }
+
+    if (!this.commitMetadata) {
+      this.loadCommitMetadata();
+    }
+
+    const previousMetadata = this.commitMetadata;
+    const parentHash = previousMetadata?.commitHash || null;
+
+    // Hash and digest cover the data before the history row is appended
+    const dbBytes = this.exportDatabase();
+    const commitHash = await this.generateCommitHash(dbBytes, parentHash);
+    const dbDigest = await this.digestHex(dbBytes);
+
+    const metadata = {
+      commitHash,
+      parentHash,
+      commitMessage: message.trim(),
+      commitAuthor: author,
+      commitDate: new Date().toISOString(),
+      appVersion: this.options.appVersion,
+      commitType: type,
+      basename: this.getCommitBasename(),
+    };
+
+    const createdHistoryTable = this.recordCommit(metadata, dbDigest);
+    // rebuildHTML writes this.commitMetadata into the saved file
+    this.commitMetadata = metadata;
+
+    const rollback = () => {
+      this.commitMetadata = previousMetadata;
+      if (createdHistoryTable) {
+        this.db.run("DROP TABLE commit_history");
+      } else {
+        this.db.run("DELETE FROM commit_history WHERE commit_hash = ?", [
+          commitHash,
+        ]);
+      }
+    };
+
+    let commitFilename = filename;
+    let result;
+    try {
+      // Each commit is a new file, later saves keep writing the working file
+      result = await this.saveToFile(
+        async (htmlContent) => {
+          commitFilename =
+            filename ||
+            (await this.resolveCommitFilename(metadata, htmlContent));
+          return commitFilename;
+        },
+        null,
+        false,
+        // A cancelled commit is rolled back, so IndexedDB waits for the file
+        { saveAs: true, remember: false, persist: false }
+      );
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+
+    if (result.cancelled) {
+      rollback();
+      return { ...result, commit: null };
+    }
+
+    if (this.options.persistToStorage) {
+      result.persistedToStorage = await this.persistToStorage();
+    }
+
+    // Keep the live page in sync so later saves build on this commit
+    const metadataScript = document.getElementById(
+      this.options.commitMetadataId
+    );
+    if (metadataScript) {
+      metadataScript.textContent = `\n${this.serializeCommitMetadata()}\n`;
+    }
+
+    // The picker may have saved under another name than suggested
+    return {
+      ...result,
+      commit: metadata,
+      filename: result.filename || commitFilename,
+    };
+  }
+
+  /**
+   * Build the filename for a commit from its type or the default pattern
+   * With a trustManager configured, a content hash segment is added so the
+   * trust badge can verify the file: contract.signed-2026-01-13.a1b2c3.html
+   * Without one the default is contract.commit-a1b2c3.html, since TrustManager
+   * would read a bare .a1b2c3.html segment as a content hash
+   */
+  async resolveCommitFilename(metadata, htmlContent) {
+    const trustManager = this.options.trustManager;
+    const pattern =
+      this.options.commitTypes[metadata.commitType] ||
+      this.options.filenamePattern ||
+      (trustManager ? "{basename}.html" : "{basename}.commit-{hash}.html");
+
+    const filename = this.formatCommitFilename(pattern, metadata);
+
+    if (trustManager) {
+      return trustManager.appendContentHash(filename, htmlContent);
+    }
+
+    return filename;
+  }
+
+  /**
+   * Expand a filename pattern for a commit
+   * Tokens: {basename} {hash} {type} {date} {timestamp} {slug}
+   * @param {string|Function} pattern - Pattern string, or function receiving the tokens
+   * @param {Object} metadata - Commit metadata
+   */
+  formatCommitFilename(pattern, metadata) {
+    const isoDate = metadata.commitDate || new Date().toISOString();
+    const tokens = {
+      basename: metadata.basename,
+      hash: metadata.commitHash,
+      type: metadata.commitType || "commit",
+      date: isoDate.slice(0, 10), // 2026-01-13
+      timestamp: isoDate // 20260113-053700
+        .slice(0, 19)
+        .replace(/[-:]/g, "")
+        .replace("T", "-"),
+      slug: (metadata.commitMessage || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40),
+    };
+
+    if (typeof pattern === "function") {
+      return pattern(tokens, metadata);
+    }
+
+    return pattern.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in tokens)) {
+        throw new Error(`Unknown filename token: ${match}`);
+      }
+      return tokens[name];
+    });
+  }
+
+  /**
+   * Append a commit to the commit_history table
+   * @returns {boolean} True if the table had to be created
+   */
+  recordCommit(metadata, dbDigest) {
+    const created = !this.hasCommitHistory();
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS commit_history (
+        commit_hash TEXT PRIMARY KEY,
+        parent_hash TEXT,
+        commit_message TEXT NOT NULL,
+        commit_type TEXT,
+        commit_author TEXT,
+        commit_date TEXT NOT NULL,
+        app_version TEXT,
+        db_digest TEXT
+      )
+    `);
+
+    try {
+      this.db.run(
+        `INSERT INTO commit_history
+          (commit_hash, parent_hash, commit_message, commit_type,
+           commit_author, commit_date, app_version, db_digest)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          metadata.commitHash,
+          metadata.parentHash,
+          metadata.commitMessage,
+          metadata.commitType,
+          metadata.commitAuthor,
+          metadata.commitDate,
+          metadata.appVersion,
+          dbDigest,
+        ]
+      );
+    } catch (error) {
+      // Short hashes can collide, never overwrite an older commit
+      if (/UNIQUE constraint failed/.test(error.message)) {
+        throw new Error(
+          `Commit hash collision: ${metadata.commitHash} is already in commit_history, raise the hashLength option`
+        );
+      }
+      throw error;
+    }
+
+    return created;
+  }
+
+  /**
+   * Check if the database has a commit_history table
+   */
+  hasCommitHistory() {
+    if (!this.db) {
+      return false;
+    }
+
+    const result = this.db.exec(
+      "SELECT 1 FROM sqlite_master WHERE type='table' AND name='commit_history'"
+    );
+    return result.length > 0;
+  }
+
+  /**
+   * Get all recorded commits, newest first
+   * Returns [{commitHash, parentHash, commitMessage, ...}, ...]
+   */
+  getHistory() {
+    if (!this.hasCommitHistory()) {
+      return [];
+    }
+
+    return this.exec(
+      `SELECT commit_hash, parent_hash, commit_message, commit_type,
+        commit_author, commit_date, app_version, db_digest
+       FROM commit_history
+       ORDER BY commit_date DESC, rowid DESC`
+    ).map((row) => ({
+      commitHash: row.commit_hash,
+      parentHash: row.parent_hash,
+      commitMessage: row.commit_message,
+      commitType: row.commit_type,
+      commitAuthor: row.commit_author,
+      commitDate: row.commit_date,
+      appVersion: row.app_version,
+      dbDigest: row.db_digest,
+    }));
+  }
+
+  /**
+   * Walk commit ancestry from a commit back to the initial commit
+   * @param {string} fromHash - Starting commit (defaults to current commit)
+   * @returns {Array} Commits from newest to oldest
+   */
+  getCommitChain(fromHash = null) {
+    const startHash = fromHash || this.commitMetadata?.commitHash;
+    if (!startHash) {
+      return [];
+    }
+
+    const byHash = new Map(
+      this.getHistory().map((commit) => [commit.commitHash, commit])
+    );
+
+    const chain = [];
+    const visited = new Set();
+    let current = byHash.get(startHash);
+
+    while (current && !visited.has(current.commitHash)) {
+      visited.add(current.commitHash);
+      chain.push(current);
+      current = current.parentHash ? byHash.get(current.parentHash) : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Replace the open database with a saved copy of an earlier commit
+   * Current commit metadata and history are kept, so the next commit
+   * records the restore on top of the current commit
+   * @param {string|Blob|Uint8Array} source - Saved copy of the version
+   * @param {Object} options - { password, commitHash } commitHash checks the copy is that commit
+   * @returns {Promise<Object|null>} Commit metadata of the restored copy
+   */
+  async restoreVersion(source, { password = null, commitHash = null } = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    const snapshot = await this.openSnapshot(source, password);
+    const restoredHash = snapshot.commitMetadata?.commitHash || null;
+
+    if (commitHash && restoredHash !== commitHash) {
+      snapshot.db.close();
+      throw new Error(
+        `Wrong version: expected commit ${commitHash}, file is ${
+          restoredHash || "not a commit"
+        }`
+      );
+    }
+
+    const history = this.getHistory();
+    const previousDb = this.db;
+    this.db = snapshot.db;
+
+    try {
+      for (const [name, attached] of this.attachedDatabases) {
+        this.attachDatabase(name, attached);
+      }
+
+      // The restored copy already holds the commits up to its own
+      const known = new Set(this.getHistory().map((c) => c.commitHash));
+      for (const commit of history) {
+        if (!known.has(commit.commitHash)) {
+          this.recordCommit(commit, commit.dbDigest);
+        }
+      }
+    } catch (error) {
+      this.db = previousDb;
+      snapshot.db.close();
+      throw new Error(`Restore failed: ${error.message}`);
+    }
+
+    previousDb.close();
+    this.markDirty();
+    return snapshot.commitMetadata;
+  }
+
+  /**
+   * Open the database of another MemoryFile HTML file in this page
+   * "replace" makes it the current database, as if that file was opened.
+   * Saves then ask for a new file instead of writing over the previous one.
+   * "attach" adds it next to the current database under name, so queries
+   * can read it as name.table. Attached databases are not saved with this
+   * file, copy rows into the main database to keep them.
+   * @param {File|Blob|string} file - Picked or dropped file, or its HTML
+   * @param {Object} options - { password, mode: "replace" | "attach", name }
+   * @returns {Promise<Object>} { mode, name, commitMetadata }
+   */
+  async importFromHtmlFile(
+    file,
+    { password = null, mode = "replace", name = "imported" } = {}
+  ) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+    if (mode !== "replace" && mode !== "attach") {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    if (mode === "attach") {
+      if (
+        !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ||
+        /^(main|temp)$/i.test(name)
+      ) {
+        throw new Error(`Invalid database name: ${name}`);
+      }
+      if (this.attachedDatabases.has(name)) {
+        throw new Error(`Database already attached: ${name}`);
+      }
+    }
+
+    const snapshot = await this.openSnapshot(file, password);
+
+    if (mode === "attach") {
+      try {
+        this.attachDatabase(name, snapshot.db);
+      } catch (error) {
+        snapshot.db.close();
+        throw new Error(`Import failed: ${error.message}`);
+      }
+      this.attachedDatabases.set(name, snapshot.db);
+      return { mode, name, commitMetadata: snapshot.commitMetadata };
+    }
+
+    const previousDb = this.db;
+    this.db = snapshot.db;
+    previousDb.close();
+    for (const [attachedName, attached] of this.attachedDatabases) {
+      this.attachDatabase(attachedName, attached);
+    }
+
+    this.commitMetadata = snapshot.commitMetadata;
+    this.adoptEncryption(snapshot.encryption, password);
+    this.loadSource = "import";
+    this.loadConflict = null;
+    this.embeddedVersion = null;
+    await this.forgetFileHandle();
+
+    // Saved files must not keep the commit of the previous database
+    const metadataScript = document.getElementById(
+      this.options.commitMetadataId
+    );
+    if (metadataScript) {
+      metadataScript.textContent = this.commitMetadata
+        ? `\n${this.serializeCommitMetadata()}\n`
+        : "";
+    }
+
+    const migrated = await this.migrateOnLoad();
+    this.markDirty();
+
+    this.emit("load", {
+      source: this.loadSource,
+      encrypted: !!snapshot.encryption,
+      commit: this.commitMetadata,
+      migrated,
+      conflict: null,
+    });
+
+    return { mode, name: null, commitMetadata: this.commitMetadata };
+  }
+
+  /**
+   * Take on the keys of an imported file
+   * Saves must not wrap its data for the previous file's password,
+   * recipients or recovery code
+   * @param {Object|null} encryption - From openSnapshot(), null if not encrypted
+   * @param {string} password - Password the file was opened with
+   */
+  adoptEncryption(encryption, password) {
+    if (this.envelope && this.envelope !== encryption?.envelope) {
+      this.envelope.dataKey.fill(0);
+    }
+    this.encryptionMetadata = encryption?.encryptionMetadata || null;
+    this.envelope = encryption?.envelope || null;
+    this.recipients = encryption?.recipients || [];
+    this.recovery = encryption?.recovery || null;
+
+    // An unencrypted file is protected with the current password on save
+    if (encryption || password) {
+      this.currentPassword = password;
+    }
+  }
+
+  /**
+   * Attach an open sql.js database under a schema name
+   * Databases created by the same sql.js module share its in-memory file system
+   */
+  attachDatabase(name, attached) {
+    this.db.run(`ATTACH DATABASE ? AS "${name}"`, [attached.filename]);
+  }
+
+  /**
+   * Detach and close a database added by importFromHtmlFile()
+   */
+  detachDatabase(name) {
+    const attached = this.attachedDatabases.get(name);
+    if (!attached) {
+      throw new Error(`No attached database: ${name}`);
+    }
+    if (name in this.options.databases) {
+      throw new Error(`Database ${name} is embedded in this file`);
+    }
+
+    this.db.run(`DETACH DATABASE "${name}"`);
+    attached.close();
+    this.attachedDatabases.delete(name);
+  }
+
+  /**
+   * Serialize commit metadata for embedding in a script tag
+   */
+  serializeCommitMetadata() {
+    // Escape "</" so a commit message cannot close the script tag
+    return JSON.stringify(this.commitMetadata, null, 2).replace(/<\//g, "<\\/");
+  }
+
+  /**
+   * Rebuild the HTML file with updated database
+   * Also writes the commit-metadata block when a commit is in progress
+   * @param {Object} version - { savedAt, commitHash } stamped on the database tag
+   * @param {Object} databases - Name -> base64 data of the named databases
+   */
+  rebuildHTML(base64Db, version = null, databases = {}) {
+    return this.injectDatabase(
+      "<!DOCTYPE html>\n" + document.documentElement.outerHTML,
+      base64Db,
+      version,
+      databases
+    );
+  }
+
+  /**
+   * Write database data and commit metadata into an HTML string
+   * String-only, so it also builds files outside the browser (CLI pack)
+   */
+  injectDatabase(htmlContent, base64Db, version = null, databases = {}) {
+    // Replace the embedded database
+    const regex = new RegExp(
+      `(<script[^>]*id="${this.options.embedId}"[^>]*>)([\\s\\S]*?)(<\\/script>)`,
+      "i"
+    );
+
+    htmlContent = htmlContent.replace(
+      regex,
+      (match, open, body, close) =>
+        `${
+          version ? this.stampEmbedTag(open, version) : open
+        }\n${base64Db}\n${close}`
+    );
+
+    for (const [name, data] of Object.entries(databases)) {
+      const embedId = this.getEmbeddedDatabaseConfig(name).embedId;
+      const databaseRegex = new RegExp(
+        `(<script[^>]*id="${embedId}"[^>]*>)([\\s\\S]*?)(<\\/script>)`,
+        "i"
+      );
+      htmlContent = htmlContent.replace(
+        databaseRegex,
+        (match, open, body, close) => `${open}\n${data}\n${close}`
+      );
+    }
+
+    if (this.commitMetadata) {
+      const metadataJson = this.serializeCommitMetadata();
+      const metadataRegex = new RegExp(
+        `(<script[^>]*id="${this.options.commitMetadataId}"[^>]*>)([\\s\\S]*?)(<\\/script>)`,
+        "i"
+      );
+
+      if (metadataRegex.test(htmlContent)) {
+        // Function replacement: commit messages may contain "$" patterns
+        htmlContent = htmlContent.replace(
+          metadataRegex,
+          (match, open, body, close) => `${open}\n${metadataJson}\n${close}`
+        );
+      } else {
+        // Insert a metadata block right before the embedded database
+        const dbTagRegex = new RegExp(
+          `<script[^>]*id="${this.options.embedId}"[^>]*>`,
+          "i"
+        );
+        htmlContent = htmlContent.replace(
+          dbTagRegex,
+          (dbTag) =>
+            `<script id="${this.options.commitMetadataId}" type="application/json">\n${metadataJson}\n<\/script>\n${dbTag}`
+        );
+      }
+    }
+
+    return htmlContent;
+  }
+
+  /**
+   * Set data-saved-at and data-commit on the embedded database tag
+   * Used by resolveLoadConflict() to tell which version a file holds
+   */
+  stampEmbedTag(openTag, version) {
+    let attributes = ` data-saved-at="${version.savedAt}"`;
+    if (version.commitHash) {
+      attributes += ` data-commit="${version.commitHash}"`;
+    }
+
+    return openTag
+      .replace(/\s+data-(saved-at|commit)="[^"]*"/gi, "")
+      .replace(/\s*>$/, `${attributes}>`);
+  }
+
+  /**
+   * Fallback download for browsers without File System Access API
+   */
+  fallbackDownload(content, filename) {
+    const blob = new Blob([content], { type: "text/html" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Convert base64 string to Uint8Array
+   */
+  base64ToUint8Array(base64) {
+    try {
+      const binaryString = atob(base64);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+      return bytes;
+    } catch (error) {
+      throw new Error("Invalid base64 data");
+    }
+  }
+
+  /**
+   * Convert Uint8Array to base64 string
+   */
+  uint8ArrayToBase64(uint8Array) {
+    let binaryString = "";
+    const chunkSize = 0x8000; // Process in chunks to avoid call stack size exceeded
+
+    for (let i = 0; i < uint8Array.length; i += chunkSize) {
+      const chunk = uint8Array.subarray(
+        i,
+        Math.min(i + chunkSize, uint8Array.length)
+      );
+      binaryString += String.fromCharCode.apply(null, chunk);
+    }
+
+    return btoa(binaryString);
+  }
+
+  // JWK key material is base64url without padding
+  uint8ArrayToBase64Url(uint8Array) {
+    return this.uint8ArrayToBase64(uint8Array)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  base64UrlToUint8Array(base64Url) {
+    const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
+    return this.base64ToUint8Array(
+      base64.padEnd(Math.ceil(base64.length / 4) * 4, "=")
+    );
+  }
+
+  /**
+   * Crockford base32, no padding
+   * Leaves out I, L, O and U so codes can be read aloud and typed
+   */
+  encodeBase32(bytes) {
+    const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+    let output = "";
+    let value = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += alphabet[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+      value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+      output += alphabet[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  decodeBase32(text, length) {
+    const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+    const bytes = new Uint8Array(length);
+    let value = 0;
+    let bits = 0;
+    let index = 0;
+
+    for (const char of text) {
+      value = (value << 5) | alphabet.indexOf(char);
+      bits += 5;
+      if (bits >= 8 && index < length) {
+        bytes[index++] = (value >>> (bits - 8)) & 255;
+        bits -= 8;
+      }
+      value &= (1 << bits) - 1;
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Compress data using gzip (requires pako library)
+   */
+  async compress(data) {
+    if (typeof pako === "undefined") {
+      console.warn(
+        "Compression enabled but pako library not loaded. Skipping compression."
+      );
+      return data;
+    }
+
+    return pako.gzip(data);
+  }
+
+  /**
+   * Decompress data using gzip (requires pako library)
+   */
+  async decompress(data) {
+    if (typeof pako === "undefined") {
+      throw new Error("Decompression failed: pako library not loaded");
+    }
+
+    return pako.ungzip(data);
+  }
+
+  /**
+   * Check if data appears to be encrypted
+   * Validates minimum length, version byte, and excludes SQLite files
+   */
+  isEncryptedData(data) {
+    if (!data || data.length < 29) {
+      return false;
+    }
+
+    if (data[0] !== 1 && data[0] !== 2) {
+      return false;
+    }
+
+    // v2 data continues with a header length that must fit in the data
+    if (
+      data[0] === 2 &&
+      (data.length < 31 || 31 + this.readUint16(data, 29) > data.length)
+    ) {
+      return false;
+    }
+
+    // SQLite databases start with "SQLite format 3\0" signature
+    // If present, data is definitely not encrypted
+    if (
+      data.length >= 16 &&
+      data[0] === 0x53 &&
+      data[1] === 0x51 &&
+      data[2] === 0x4c
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Derive encryption key from password
+   * Requires Web Crypto API (HTTPS or modern browser)
+   * @param {Object} kdf - KDF and parameters as recorded in the v2 header
+   */
+  async deriveKey(
+    password,
+    salt,
+    kdf = { name: "PBKDF2", iterations: 100000 }
+  ) {
+    if (typeof crypto === "undefined" || typeof crypto.subtle === "undefined") {
+      throw new Error(
+        "Web Crypto API not available. Encryption requires HTTPS or a modern browser."
+      );
+    }
+
+    if (kdf.name === "Argon2id") {
+      const rawKey = await this.deriveArgon2Key(password, salt, kdf);
+      try {
+        return await crypto.subtle.importKey(
+          "raw",
+          rawKey,
+          { name: "AES-GCM" },
+          false,
+          ["encrypt", "decrypt"]
+        );
+      } finally {
+        rawKey.fill(0);
+      }
+    }
+
+    if (kdf.name !== "PBKDF2") {
+      throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1) {
+      throw new Error(`Invalid PBKDF2 iterations: ${kdf.iterations}`);
+    }
+    // The count comes from the file, a crafted one could hang the page
+    if (kdf.iterations > 10000000) {
+      throw new Error(
+        `PBKDF2 iterations ${kdf.iterations} exceed the maximum of 10,000,000`
+      );
+    }
+
+    const encoder = new TextEncoder();
+    const passwordKey = await crypto.subtle.importKey(
+      "raw",
+      encoder.encode(password),
+      "PBKDF2",
+      false,
+      ["deriveBits", "deriveKey"]
+    );
+
+    return crypto.subtle.deriveKey(
+      {
+        name: "PBKDF2",
+        salt: salt,
+        iterations: kdf.iterations,
+        hash: kdf.hash || "SHA-256",
+      },
+      passwordKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  /**
+   * Key derived from a password, kept between saves
+   * Argon2id takes seconds, so like the envelope's database key the salt
+   * and key are reused until the password or KDF parameters change. Each
+   * encryption still uses a new IV.
+   * Without a salt the kept key is returned, or a new one with a new salt.
+   * With the salt of data being decrypted a new key is not kept, call
+   * keepPasswordKey() once it opened the data.
+   * @returns {Promise<{salt: Uint8Array, key: CryptoKey}>}
+   */
+  async getPasswordKey(password, kdf, salt = null) {
+    const kept = this.passwordKeys.get(JSON.stringify([password, kdf]));
+    if (
+      kept &&
+      (!salt ||
+        this.uint8ArrayToBase64(salt) === this.uint8ArrayToBase64(kept.salt))
+    ) {
+      return kept;
+    }
+
+    const derived = {
+      salt: salt || crypto.getRandomValues(new Uint8Array(16)),
+    };
+    derived.key = await this.deriveKey(password, derived.salt, kdf);
+    if (!salt) {
+      this.keepPasswordKey(password, kdf, derived);
+    }
+    return derived;
+  }
+
+  keepPasswordKey(password, kdf, derived) {
+    this.passwordKeys.set(JSON.stringify([password, kdf]), derived);
+  }
+
+  /**
+   * Derive a 256-bit key with Argon2id
+   * Memory-hard, so guessing passwords on GPUs costs far more than PBKDF2
+   * At most 1 GiB of memory, 64 iterations and 16 lanes
+   * @param {Object} kdf - { memory (KiB), iterations, parallelism, version }
+   * @returns {Promise<Uint8Array>} Raw key bytes
+   */
+  async deriveArgon2Key(password, salt, kdf) {
+    // The parameters come from the file, a crafted one could exhaust memory
+    const limits = { memory: 1048576, iterations: 64, parallelism: 16 };
+    for (const [name, max] of Object.entries(limits)) {
+      if (!Number.isInteger(kdf[name]) || kdf[name] < 1) {
+        throw new Error(`Invalid Argon2id ${name}: ${kdf[name]}`);
+      }
+      if (kdf[name] > max) {
+        throw new Error(
+          `Argon2id ${name} ${kdf[name]} exceeds the maximum of ${max}`
+        );
+      }
+    }
+    if (kdf.memory < 8 * kdf.parallelism) {
+      throw new Error("Invalid Argon2id memory: at least 8 KiB per lane");
+    }
+    if (kdf.version !== undefined && kdf.version !== 19) {
+      throw new Error(`Unsupported Argon2 version: ${kdf.version}`);
+    }
+
+    const argon2 = await this.initArgon2();
+    return argon2.hash({
+      password,
+      salt,
+      iterations: kdf.iterations,
+      memory: kdf.memory,
+      parallelism: kdf.parallelism,
+      hashLength: 32,
+    });
+  }
+
+  /**
+   * Load the Argon2 WebAssembly module
+   * Pages that use Argon2id include argon2.js (or argon2-inline.js)
+   * @param {Object} config - Optional { locateFile(file) }
+   */
+  async initArgon2(config = {}) {
+    if (this.argon2) return this.argon2;
+
+    if (typeof Argon2 === "undefined") {
+      throw new Error("Argon2id not loaded. Include argon2.js first.");
+    }
+
+    const wasmPath = window.MEMORYFILE_WASM_PATH || "./lib/";
+    try {
+      this.argon2 = await Argon2.load({
+        locateFile: (file) =>
+          config.locateFile ? config.locateFile(file) : `${wasmPath}${file}`,
+      });
+    } catch (error) {
+      throw new Error(`Failed to initialize Argon2id: ${error.message}`);
+    }
+    return this.argon2;
+  }
+
+  /**
+   * KDF and parameters for new encryptions, from the kdf option
+   * PBKDF2 defaults to SHA-256 with 100,000 iterations, Argon2id to
+   * 64 MiB of memory, 3 iterations and 1 lane
+   */
+  getKdfParameters() {
+    const kdf = this.options.kdf || {};
+    if (kdf.name === "Argon2id") {
+      return {
+        name: "Argon2id",
+        version: 19,
+        memory: 65536,
+        iterations: 3,
+        parallelism: 1,
+        ...kdf,
+      };
+    }
+    return { name: "PBKDF2", hash: "SHA-256", iterations: 100000, ...kdf };
+  }
+
+  /**
+   * Encrypt data with AES-256-GCM
+   * Writes the format set by the encryptionVersion option:
+   * v1 version(1)|salt(16)|iv(12)|ciphertext, PBKDF2 with 100,000 iterations
+   * v2 version(1)|salt(16)|iv(12)|headerLength(2)|header|ciphertext
+   * The v2 header is JSON naming the KDF, its parameters and the cipher, so
+   * work factors can change without breaking older files. Everything before
+   * the ciphertext is authenticated as GCM additional data.
+   * With recipients or a recovery code the header holds key slots instead
+   * of a KDF, see createKeySlots(), and the password is optional
+   * @param {Uint8Array} data - Data to encrypt
+   * @param {string} password - Password for key derivation
+   * @param {Object} options - { recipients: false } encrypts for the password only
+   * @returns {Promise<Uint8Array>} Encrypted data with metadata
+   */
+  async encryptData(data, password, options = {}) {
+    if (!data || !(data instanceof Uint8Array)) {
+      throw new Error("Data must be a Uint8Array");
+    }
+
+    const envelope =
+      options.recipients !== false &&
+      (this.recipients.length > 0 || !!this.recovery);
+    if (
+      (!envelope || password != null) &&
+      (typeof password !== "string" || password.length === 0)
+    ) {
+      throw new Error("Password must be a non-empty string");
+    }
+
+    const version = this.options.encryptionVersion;
+    if (version !== 1 && version !== 2) {
+      throw new Error(`Unsupported encryption version: ${version}`);
+    }
+
+    if (version === 1 && this.options.kdf) {
+      throw new Error("Encryption version 1 only supports the default PBKDF2");
+    }
+    if (version === 1 && envelope) {
+      throw new Error(
+        "Encryption version 1 does not support recipients or recovery codes"
+      );
+    }
+
+    // Generate salt and IV, the salt is unused with key slots
+    let salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    let header;
+    let key;
+    if (envelope) {
+      header = {
+        cipher: "AES-GCM-256",
+        keySlots: await this.createKeySlots(password),
+      };
+      key = await this.importDataKey(this.envelope.dataKey);
+    } else {
+      header = {
+        kdf:
+          version === 1
+            ? { name: "PBKDF2", hash: "SHA-256", iterations: 100000 }
+            : this.getKdfParameters(),
+        cipher: "AES-GCM-256",
+      };
+
+      // Derive key from password, or reuse the one of the last save
+      ({ salt, key } = await this.getPasswordKey(password, header.kdf));
+    }
+
+    const headerBytes =
+      version === 2
+        ? new TextEncoder().encode(JSON.stringify(header))
+        : new Uint8Array(0);
+    const prefixLength = version === 2 ? 31 + headerBytes.length : 29;
+
+    const prefix = new Uint8Array(prefixLength);
+    prefix[0] = version;
+    prefix.set(salt, 1);
+    prefix.set(iv, 17);
+    if (version === 2) {
+      if (headerBytes.length > 0xffff) {
+        throw new Error("Encryption header too large");
+      }
+      prefix[29] = headerBytes.length >> 8;
+      prefix[30] = headerBytes.length & 0xff;
+      prefix.set(headerBytes, 31);
+    }
+
+    // Encrypt data
+    const encrypted = await crypto.subtle.encrypt(
+      version === 2
+        ? { name: "AES-GCM", iv: iv, additionalData: prefix }
+        : { name: "AES-GCM", iv: iv },
+      key,
+      data
+    );
+
+    // Store metadata for later display
+    this.encryptionMetadata = {
+      ...this.describeEncryption(version, header),
+      timestamp: new Date().toISOString(),
+    };
+
+    const result = new Uint8Array(prefixLength + encrypted.byteLength);
+    result.set(prefix, 0);
+    result.set(new Uint8Array(encrypted), prefixLength);
+
+    return result;
+  }
+
+  /**
+   * Decrypt data with AES-256-GCM
+   * Reads both formats written by encryptData()
+   * Data with key slots opens without a password when a key pair stored in
+   * this browser belongs to one of its recipients
+   * @param {Uint8Array} encryptedData - Encrypted data with format: version|salt|iv|[headerLength|header]|ciphertext
+   * @param {string} password - Password for key derivation
+   * @returns {Promise<Uint8Array>} Decrypted data
+   */
+  async decryptData(encryptedData, password = null) {
+    if (!encryptedData || !(encryptedData instanceof Uint8Array)) {
+      throw new Error("Encrypted data must be a Uint8Array");
+    }
+    if (encryptedData.length < 29) {
+      throw new Error(
+        "Invalid encrypted data: insufficient length (minimum 29 bytes required)"
+      );
+    }
+    if (
+      password != null &&
+      (typeof password !== "string" || password.length === 0)
+    ) {
+      throw new Error("Password must be a non-empty string");
+    }
+
+    const version = encryptedData[0];
+    if (version !== 1 && version !== 2) {
+      throw new Error(`Unsupported encryption version: ${version}`);
+    }
+
+    const { header, prefixLength } = this.readEncryptionHeader(encryptedData);
+    if (header.cipher !== "AES-GCM-256") {
+      throw new Error(`Decryption failed: unsupported cipher ${header.cipher}`);
+    }
+
+    if (header.keySlots) {
+      return this.decryptEnvelope(
+        encryptedData,
+        header,
+        prefixLength,
+        password
+      );
+    }
+    if (password == null) {
+      throw new Error("Password must be a non-empty string");
+    }
+
+    const salt = encryptedData.slice(1, 17);
+    const iv = encryptedData.slice(17, 29);
+    const ciphertext = encryptedData.slice(prefixLength);
+
+    let derived;
+    try {
+      derived = await this.getPasswordKey(password, header.kdf, salt);
+    } catch (error) {
+      // A damaged header can name a KDF that does not exist
+      throw new Error(`Decryption failed: ${error.message}`);
+    }
+
+    try {
+      const decrypted = await crypto.subtle.decrypt(
+        version === 2
+          ? {
+              name: "AES-GCM",
+              iv: iv,
+              additionalData: encryptedData.slice(0, prefixLength),
+            }
+          : { name: "AES-GCM", iv: iv },
+        derived.key,
+        ciphertext
+      );
+
+      this.encryptionMetadata = this.describeEncryption(version, header);
+      this.keepPasswordKey(password, header.kdf, derived);
+
+      return new Uint8Array(decrypted);
+    } catch (error) {
+      throw new Error(
+        "Decryption failed: incorrect password or corrupted data"
+      );
+    }
+  }
+
+  /**
+   * Read the KDF and cipher of encrypted data
+   * v1 data has no header, its parameters are fixed
+   * @returns {Object} { header: { kdf or keySlots, cipher }, prefixLength }
+   */
+  readEncryptionHeader(encryptedData) {
+    if (encryptedData[0] === 1) {
+      return {
+        header: {
+          kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 100000 },
+          cipher: "AES-GCM-256",
+        },
+        prefixLength: 29,
+      };
+    }
+
+    const headerLength =
+      encryptedData.length >= 31 ? this.readUint16(encryptedData, 29) : 0;
+    if (headerLength === 0 || 31 + headerLength > encryptedData.length) {
+      throw new Error("Decryption failed: corrupted encryption header");
+    }
+
+    let header;
+    try {
+      header = JSON.parse(
+        new TextDecoder().decode(encryptedData.slice(31, 31 + headerLength))
+      );
+    } catch (error) {
+      throw new Error("Decryption failed: corrupted encryption header");
+    }
+    const hasKdf = header && typeof header.kdf === "object" && header.kdf;
+    if (!hasKdf && !Array.isArray(header && header.keySlots)) {
+      throw new Error("Decryption failed: corrupted encryption header");
+    }
+
+    return { header, prefixLength: 31 + headerLength };
+  }
+
+  /**
+   * Encryption metadata as returned by getEncryptionMetadata()
+   */
+  describeEncryption(version, header) {
+    // With key slots the password slot holds the KDF, if there is one
+    const passwordSlot = (header.keySlots || []).find(
+      (slot) => slot.type === "password"
+    );
+    const kdf = header.kdf || (passwordSlot && passwordSlot.kdf) || null;
+
+    const metadata = {
+      version: version,
+      algorithm: header.cipher,
+      kdf: kdf ? kdf.name : null,
+      iterations: kdf ? kdf.iterations : null,
+    };
+    if (kdf && kdf.name === "Argon2id") {
+      metadata.memory = kdf.memory; // KiB
+      metadata.parallelism = kdf.parallelism;
+    }
+    if (header.keySlots) {
+      metadata.recipients = header.keySlots
+        .filter((slot) => slot.type === "ecdh")
+        .map((slot) => ({ id: slot.id, name: slot.name }));
+      metadata.recovery = header.keySlots.some(
+        (slot) => slot.type === "recovery"
+      );
+    }
+    return metadata;
+  }
+
+  readUint16(data, offset) {
+    return (data[offset] << 8) | data[offset + 1];
+  }
+
+  /**
+   * Wrap the database key for the password, each recipient and the
+   * recovery code
+   * The key is kept between saves and replaced when a recipient is removed.
+   * ECDH slots use a new ephemeral key pair each time, the shared secret
+   * goes through HKDF-SHA256 to the AES-GCM key that wraps the database key.
+   * Without a password the password slot of the loaded file is kept, it
+   * wraps the same key
+   * @returns {Promise<Array>} Key slots for the v2 header
+   */
+  async createKeySlots(password) {
+    if (!this.envelope) {
+      this.envelope = {
+        dataKey: crypto.getRandomValues(new Uint8Array(32)),
+        passwordSlot: null,
+      };
+    }
+    const { dataKey } = this.envelope;
+
+    if (password) {
+      const kdf = this.getKdfParameters();
+      const { salt, key: wrappingKey } = await this.getPasswordKey(
+        password,
+        kdf
+      );
+      this.envelope.passwordSlot = {
+        type: "password",
+        kdf,
+        salt: this.uint8ArrayToBase64(salt),
+        ...(await this.wrapDataKey(wrappingKey, dataKey)),
+      };
+    }
+
+    const slots = this.envelope.passwordSlot
+      ? [this.envelope.passwordSlot]
+      : [];
+
+    for (const recipient of this.recipients) {
+      slots.push({
+        type: "ecdh",
+        id: recipient.id,
+        name: recipient.name,
+        ...(await this.wrapDataKeyFor(recipient.publicKey, dataKey)),
+      });
+    }
+
+    if (this.recovery) {
+      slots.push({
+        type: "recovery",
+        ...(await this.wrapDataKeyFor(this.recovery.publicKey, dataKey)),
+      });
+    }
+
+    return slots;
+  }
+
+  /**
+   * Wrap the database key for the holder of an ECDH private key
+   * @returns {Promise<Object>} { publicKey, ephemeralKey, iv, wrappedKey }
+   */
+  async wrapDataKeyFor(publicKey, dataKey) {
+    const ephemeral = await crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      true,
+      ["deriveBits"]
+    );
+    const wrappingKey = await this.deriveSlotKey(
+      ephemeral.privateKey,
+      publicKey
+    );
+    const { kty, crv, x, y } = await crypto.subtle.exportKey(
+      "jwk",
+      ephemeral.publicKey
+    );
+
+    return {
+      publicKey,
+      ephemeralKey: { kty, crv, x, y },
+      ...(await this.wrapDataKey(wrappingKey, dataKey)),
+    };
+  }
+
+  /**
+   * Decrypt data whose key is wrapped in key slots
+   * A password only opens password slots, so a wrong password never falls
+   * back to a stored key pair and ends up as currentPassword
+   */
+  async decryptEnvelope(encryptedData, header, prefixLength, password) {
+    const dataKey = await this.openKeySlots(header.keySlots, password);
+    const key = await this.importDataKey(dataKey);
+
+    let decrypted;
+    try {
+      decrypted = await crypto.subtle.decrypt(
+        {
+          name: "AES-GCM",
+          iv: encryptedData.slice(17, 29),
+          additionalData: encryptedData.slice(0, prefixLength),
+        },
+        key,
+        encryptedData.slice(prefixLength)
+      );
+    } catch (error) {
+      throw new Error(
+        "Decryption failed: incorrect password or corrupted data"
+      );
+    }
+
+    this.envelope = {
+      dataKey,
+      passwordSlot:
+        header.keySlots.find((slot) => slot.type === "password") || null,
+    };
+    this.recipients = header.keySlots
+      .filter((slot) => slot.type === "ecdh")
+      .map((slot) => ({
+        id: slot.id,
+        name: slot.name,
+        publicKey: slot.publicKey,
+      }));
+    const recoverySlot = header.keySlots.find(
+      (slot) => slot.type === "recovery"
+    );
+    this.recovery = recoverySlot ? { publicKey: recoverySlot.publicKey } : null;
+    this.encryptionMetadata = this.describeEncryption(2, header);
+
+    return new Uint8Array(decrypted);
+  }
+
+  /**
+   * Unwrap the database key with the password, the recovery code being
+   * tried, or else with a key pair stored in this browser
+   * @returns {Promise<Uint8Array>} Raw database key
+   */
+  async openKeySlots(keySlots, password) {
+    if (password) {
+      const passwordSlots = keySlots.filter((slot) => slot.type === "password");
+      for (const slot of passwordSlots) {
+        let derived;
+        try {
+          derived = await this.getPasswordKey(
+            password,
+            slot.kdf,
+            this.base64ToUint8Array(slot.salt)
+          );
+        } catch (error) {
+          throw new Error(`Decryption failed: ${error.message}`);
+        }
+        try {
+          const dataKey = await this.unwrapDataKey(derived.key, slot);
+          this.keepPasswordKey(password, slot.kdf, derived);
+          return dataKey;
+        } catch (error) {
+          // Wrong password for this slot
+        }
+      }
+      throw new Error(
+        "Decryption failed: incorrect password or corrupted data"
+      );
+    }
+
+    if (this.recoveryKey) {
+      const slot = keySlots.find((slot) => slot.type === "recovery");
+      if (!slot) {
+        throw new Error(
+          "Decryption failed: this database has no recovery code"
+        );
+      }
+      try {
+        const privateKey = await crypto.subtle.importKey(
+          "jwk",
+          {
+            ...slot.publicKey,
+            d: this.uint8ArrayToBase64Url(this.recoveryKey),
+          },
+          { name: "ECDH", namedCurve: "P-256" },
+          false,
+          ["deriveBits"]
+        );
+        const wrappingKey = await this.deriveSlotKey(
+          privateKey,
+          slot.ephemeralKey
+        );
+        return await this.unwrapDataKey(wrappingKey, slot);
+      } catch (error) {
+        // The checksum passed, so this is the code of another file
+        throw new Error("Decryption failed: incorrect recovery code");
+      }
+    }
+
+    const keyPairs = await this.getStoredKeyPairs();
+    for (const slot of keySlots.filter((slot) => slot.type === "ecdh")) {
+      const keyPair = keyPairs.find((pair) => pair.key === slot.id);
+      if (!keyPair) continue;
+      try {
+        const wrappingKey = await this.deriveSlotKey(
+          keyPair.privateKey,
+          slot.ephemeralKey
+        );
+        return await this.unwrapDataKey(wrappingKey, slot);
+      } catch (error) {
+        // Damaged slot, another stored key pair may still match
+      }
+    }
+    throw new Error(
+      "Password required: No key pair in this browser opens this database"
+    );
+  }
+
+  /**
+   * AES-GCM key shared by an ECDH private key and the other side's public key
+   * @param {CryptoKey} privateKey
+   * @param {Object} publicKey - JWK
+   */
+  async deriveSlotKey(privateKey, publicKey) {
+    const peerKey = await crypto.subtle.importKey(
+      "jwk",
+      publicKey,
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      []
+    );
+    const secret = await crypto.subtle.deriveBits(
+      { name: "ECDH", public: peerKey },
+      privateKey,
+      256
+    );
+    const secretKey = await crypto.subtle.importKey(
+      "raw",
+      secret,
+      "HKDF",
+      false,
+      ["deriveKey"]
+    );
+
+    return crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: new Uint8Array(32),
+        info: new TextEncoder().encode("memoryfile-key-slot"),
+      },
+      secretKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async wrapDataKey(wrappingKey, dataKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      wrappingKey,
+      dataKey
+    );
+    return {
+      iv: this.uint8ArrayToBase64(iv),
+      wrappedKey: this.uint8ArrayToBase64(new Uint8Array(wrapped)),
+    };
+  }
+
+  async unwrapDataKey(wrappingKey, slot) {
+    const dataKey = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.base64ToUint8Array(slot.iv) },
+      wrappingKey,
+      this.base64ToUint8Array(slot.wrappedKey)
+    );
+    return new Uint8Array(dataKey);
+  }
+
+  importDataKey(dataKey) {
+    return crypto.subtle.importKey("raw", dataKey, { name: "AES-GCM" }, false, [
+      "encrypt",
+      "decrypt",
+    ]);
+  }
+
+  /**
+   * Check if a key pair stored in this browser opens encrypted data
+   * Lets loading skip the password when the file was shared with this
+   * browser, or when loadWithRecoveryCode() tries a recovery code
+   */
+  async hasRecipientKey(data) {
+    if (data[0] !== 2) {
+      return false;
+    }
+
+    let header;
+    try {
+      ({ header } = this.readEncryptionHeader(data));
+    } catch (error) {
+      // decryptData reports the damaged header
+      return false;
+    }
+    if (!header.keySlots) {
+      return false;
+    }
+    if (this.recoveryKey) {
+      return header.keySlots.some((slot) => slot.type === "recovery");
+    }
+
+    const keyPairs = await this.getStoredKeyPairs();
+    return header.keySlots.some(
+      (slot) =>
+        slot.type === "ecdh" && keyPairs.some((pair) => pair.key === slot.id)
+    );
+  }
+
+  /**
+   * Decrypt a copy of a database without changing the encryption state
+   * of the loaded one
+   */
+  async decryptDetached(encryptedData, password) {
+    return (await this.decryptSnapshot(encryptedData, password)).data;
+  }
+
+  /**
+   * decryptDetached() that also returns the copy's own encryption state
+   * @returns {Promise<Object>} { data, encryption } encryption holds
+   *   encryptionMetadata, envelope, recipients and recovery of the copy
+   */
+  async decryptSnapshot(encryptedData, password) {
+    const { encryptionMetadata, envelope, recipients, recovery } = this;
+    this.encryptionMetadata = null;
+    this.envelope = null;
+    this.recipients = [];
+    this.recovery = null;
+    try {
+      const data = await this.decryptData(encryptedData, password);
+      return {
+        data,
+        encryption: {
+          encryptionMetadata: this.encryptionMetadata,
+          envelope: this.envelope,
+          recipients: this.recipients,
+          recovery: this.recovery,
+        },
+      };
+    } finally {
+      this.encryptionMetadata = encryptionMetadata;
+      this.envelope = envelope;
+      this.recipients = recipients;
+      this.recovery = recovery;
+    }
+  }
+
+  /**
+   * Get database size in bytes
+   */
+  getDatabaseSize() {
+    if (!this.db) {
+      return 0;
+    }
+
+    const exported = this.exportDatabase();
+    return exported.length;
+  }
+
+  /**
+   * Get database size as base64 (including overhead)
+   */
+  getBase64Size() {
+    const dbSize = this.getDatabaseSize();
+    return Math.ceil((dbSize * 4) / 3); // Base64 adds ~33% overhead
+  }
+
+  /**
+   * Get all tables in the database
+   */
+  getTables() {
+    if (!this.db) {
+      return [];
+    }
+
+    const result = this.db.exec(`
+      SELECT name FROM sqlite_master 
+      WHERE type='table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    return result[0].values.map((row) => row[0]);
+  }
+
+  /**
+   * Get table schema
+   */
+  getTableSchema(tableName) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    const result = this.db.exec(`PRAGMA table_info(${tableName})`);
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    return result[0].values.map((row) => ({
+      cid: row[0],
+      name: row[1],
+      type: row[2],
+      notNull: row[3] === 1,
+      defaultValue: row[4],
+      primaryKey: row[5] === 1,
+    }));
+  }
+
+  /**
+   * Get database version
+   */
+  getVersion() {
+    if (!this.db) {
+      return 0;
+    }
+
+    const result = this.db.exec("PRAGMA user_version");
+    return result[0]?.values[0][0] || 0;
+  }
+
+  /**
+   * Set database version
+   */
+  setVersion(version) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    this.db.run(`PRAGMA user_version = ${parseInt(version)}`);
+  }
+
+  /**
+   * Run pending schema migrations in a single transaction
+   * Steps above PRAGMA user_version run in version order and are recorded in
+   * schema_migrations. If any step fails, every step is rolled back.
+   * @param {Array<{version: number, up: Function|string, description?: string}>} migrations
+   *   up is SQL, or a function called with this MemoryFile
+   * @returns {Promise<Array<number>>} Versions that were applied
+   */
+  async migrate(migrations) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+    sorted.forEach((migration, index) => {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(
+          `Invalid migration version: ${migration.version} (must be a positive integer)`
+        );
+      }
+      if (index > 0 && sorted[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      if (
+        typeof migration.up !== "function" &&
+        typeof migration.up !== "string"
+      ) {
+        throw new Error(
+          `Migration ${migration.version} needs an up function or SQL string`
+        );
+      }
+    });
+
+    const currentVersion = this.getVersion();
+    const latestVersion = sorted.length ? sorted[sorted.length - 1].version : 0;
+    if (currentVersion > latestVersion) {
+      console.warn(
+        `Database version ${currentVersion} is newer than the latest migration (${latestVersion})`
+      );
+    }
+
+    const pending = sorted.filter(
+      (migration) => migration.version > currentVersion
+    );
+    if (pending.length === 0) {
+      return [];
+    }
+
+    await this.transaction(async () => {
+      this.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          description TEXT,
+          applied_at TEXT NOT NULL,
+          app_version TEXT
+        )
+      `);
+
+      for (const migration of pending) {
+        try {
+          if (typeof migration.up === "string") {
+            this.db.exec(migration.up);
+          } else {
+            await migration.up(this);
+          }
+        } catch (error) {
+          throw new Error(
+            `Migration ${migration.version} failed: ${error.message}`
+          );
+        }
+
+        this.run(
+          `INSERT INTO schema_migrations (version, description, applied_at, app_version)
+           VALUES (?, ?, ?, ?)`,
+          [
+            migration.version,
+            migration.description || null,
+            new Date().toISOString(),
+            this.options.appVersion,
+          ]
+        );
+        this.setVersion(migration.version);
+      }
+    });
+
+    return pending.map((migration) => migration.version);
+  }
+
+  /**
+   * Run the migrations option while a file is being opened
+   * Saving to a file needs a user gesture, so only autoSave: "storage" runs
+   * here. The database stays dirty and the next save writes the migrations.
+   */
+  async migrateOnLoad() {
+    if (!this.options.migrations) {
+      return [];
+    }
+
+    const loading = this.loading;
+    this.loading = true;
+    try {
+      return await this.migrate(this.options.migrations);
+    } finally {
+      this.loading = loading;
+    }
+  }
+
+  /**
+   * Get migrations recorded by migrate(), oldest first
+   */
+  getAppliedMigrations() {
+    const exists = this.exec(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name='schema_migrations'"
+    );
+    if (exists.length === 0) {
+      return [];
+    }
+
+    return this.exec(
+      "SELECT version, description, applied_at, app_version FROM schema_migrations ORDER BY version"
+    ).map((row) => ({
+      version: row.version,
+      description: row.description,
+      appliedAt: row.applied_at,
+      appVersion: row.app_version,
+    }));
+  }
+
+  /**
+   * Import CSV rows into a table
+   * Files are read as a stream and rows are inserted in chunks inside one
+   * transaction, yielding to the page between chunks. Other writes throw
+   * until it finishes, see runImport()
+   * @param {string} tableName - Created when missing, unless createTable is false
+   * @param {string|File|Blob} source - CSV text or a picked/dropped file
+   * @param {Object} options
+   *   header      first row holds column names (default true), otherwise
+   *               columns are the table's or column1, column2, ...
+   *   types       { column: "INTEGER" | "REAL" | "TEXT" }, inferred from
+   *               the first chunk when creating the table
+   *   createTable create a missing table (default true)
+   *   delimiter   field separator (default ",")
+   *   chunkSize   rows per insert chunk (default 1000)
+   *   onProgress  called after each chunk with { rows, loaded, total }
+   * @returns {Promise<Object>} { table, columns, rows, created }
+   */
+  async importCSV(tableName, source, options = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+
+    const {
+      header = true,
+      types = {},
+      createTable = true,
+      delimiter = ",",
+      chunkSize = 1000,
+      onProgress = null,
+    } = options;
+
+    const parser = MemoryFile.createCSVParser(delimiter);
+    const pending = [];
+    let headerRow = null;
+    let target = null;
+    let rows = 0;
+    let progress = { loaded: 0, total: 0 };
+
+    const takeRows = (parsed) => {
+      pending.push(...parsed);
+      if (header && !headerRow && pending.length > 0) {
+        headerRow = pending.shift().map((name) => name.trim());
+      }
+    };
+
+    const writeRows = async (batch) => {
+      if (!target) {
+        target = this.prepareCSVTarget(tableName, headerRow, batch, {
+          types,
+          createTable,
+        });
+      }
+      for (const row of batch) {
+        target.stmt.run(
+          target.columns.map((column, i) =>
+            MemoryFile.convertCSVValue(row[i], target.types[i])
+          )
+        );
+      }
+      rows += batch.length;
+
+      if (onProgress) {
+        onProgress({ rows, loaded: progress.loaded, total: progress.total });
+      }
+      // Let the page render between chunks
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    };
+
+    await this.runImport("importCSV", async () => {
+      try {
+        for await (const chunk of this.readTextChunks(source)) {
+          progress = chunk;
+          takeRows(parser.push(chunk.text));
+          while (pending.length >= chunkSize) {
+            await writeRows(pending.splice(0, chunkSize));
+          }
+        }
+        takeRows(parser.flush());
+        if (pending.length > 0 || (!target && headerRow)) {
+          await writeRows(pending.splice(0));
+        }
+        this.markDirty();
+      } finally {
+        target?.stmt.free();
+      }
+    });
 
-    const success = await this.persistToStorage();
     return {
-      success,
-      method: "storage",
-      persistedToStorage: success,
+      table: tableName,
+      columns: target ? target.columns : [],
+      rows,
+      created: target ? target.created : false,
     };
   }
 
   /**
-   * Rebuild the HTML file with updated database
+   * Columns, types and insert statement for importCSV()
+   * Creates the table from the header and the first chunk when missing
    */
-  rebuildHTML(base64Db) {
-    let htmlContent = "<!DOCTYPE html>\n" + document.documentElement.outerHTML;
-
-    // Replace the embedded database
-    const regex = new RegExp(
-      `(<script[^>]*id="${this.options.embedId}"[^>]*>)([\\s\\S]*?)(<\\/script>)`,
-      "i"
-    );
+  prepareCSVTarget(tableName, headerRow, sample, { types, createTable }) {
+    const table = MemoryFile.quoteIdentifier(tableName);
+    const existing = this.db.exec(`PRAGMA table_info(${table})`);
+    const tableColumns = existing.length
+      ? existing[0].values.map((row) => ({ name: row[1], type: row[2] }))
+      : [];
+
+    const width = Math.max(0, ...sample.map((row) => row.length));
+    const columns =
+      headerRow ||
+      (tableColumns.length
+        ? tableColumns.map((column) => column.name)
+        : Array.from({ length: width }, (_, i) => `column${i + 1}`));
+
+    let created = false;
+    let columnTypes;
+
+    if (tableColumns.length === 0) {
+      if (!createTable) {
+        throw new Error(`Table not found: ${tableName}`);
+      }
 
-    htmlContent = htmlContent.replace(regex, `$1\n${base64Db}\n$3`);
+      columnTypes = columns.map(
+        (column, i) =>
+          types[column] || MemoryFile.inferCSVType(sample.map((row) => row[i]))
+      );
+      const definitions = columns.map(
+        (column, i) => `${MemoryFile.quoteIdentifier(column)} ${columnTypes[i]}`
+      );
+      this.db.run(`CREATE TABLE ${table} (${definitions.join(", ")})`);
+      created = true;
+    } else {
+      columnTypes = columns.map((column) => {
+        const match = tableColumns.find((c) => c.name === column);
+        if (!match) {
+          throw new Error(`Column not found in ${tableName}: ${column}`);
+        }
+        return types[column] || match.type;
+      });
+    }
 
-    return htmlContent;
-  }
+    const placeholders = columns.map(() => "?").join(", ");
+    const stmt = this.db.prepare(
+      `INSERT INTO ${table} (${columns
+        .map((column) => MemoryFile.quoteIdentifier(column))
+        .join(", ")}) VALUES (${placeholders})`
+    );
 
-  /**
-   * Fallback download for browsers without File System Access API
-   */
-  fallbackDownload(content, filename) {
-    const blob = new Blob([content], { type: "text/html" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.style.display = "none";
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    return { columns, types: columnTypes, stmt, created };
   }
 
   /**
-   * Convert base64 string to Uint8Array
+   * Read text in chunks with the position for progress reports
+   * Files are streamed when the browser supports Blob.stream()
    */
-  base64ToUint8Array(base64) {
-    try {
-      const binaryString = atob(base64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+  async *readTextChunks(source, chunkLength = 65536) {
+    if (typeof source === "string") {
+      for (let i = 0; i < source.length; i += chunkLength) {
+        yield {
+          text: source.slice(i, i + chunkLength),
+          loaded: Math.min(i + chunkLength, source.length),
+          total: source.length,
+        };
       }
-      return bytes;
-    } catch (error) {
-      throw new Error("Invalid base64 data");
+      return;
     }
-  }
 
-  /**
-   * Convert Uint8Array to base64 string
-   */
-  uint8ArrayToBase64(uint8Array) {
-    let binaryString = "";
-    const chunkSize = 0x8000; // Process in chunks to avoid call stack size exceeded
+    if (typeof source.stream !== "function") {
+      yield* this.readTextChunks(await source.text(), chunkLength);
+      return;
+    }
 
-    for (let i = 0; i < uint8Array.length; i += chunkSize) {
-      const chunk = uint8Array.subarray(
-        i,
-        Math.min(i + chunkSize, uint8Array.length)
-      );
-      binaryString += String.fromCharCode.apply(null, chunk);
+    const reader = source.stream().getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      loaded += value.length;
+      yield {
+        text: decoder.decode(value, { stream: true }),
+        loaded,
+        total: source.size,
+      };
     }
 
-    return btoa(binaryString);
+    const rest = decoder.decode();
+    if (rest) {
+      yield { text: rest, loaded, total: source.size };
+    }
   }
 
   /**
-   * Compress data using gzip (requires pako library)
+   * Export a table or query as CSV text
+   * BLOBs are written as base64, NULL as an empty field
+   * @param {string} source - Table name, or a SELECT/WITH query
+   * @param {Object} options - { header, delimiter, params }
    */
-  async compress(data) {
-    if (typeof pako === "undefined") {
-      console.warn(
-        "Compression enabled but pako library not loaded. Skipping compression."
-      );
-      return data;
+  exportCSV(source, { header = true, delimiter = ",", params = [] } = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
     }
 
-    return pako.gzip(data);
-  }
+    const sql = /^\s*(select|with)\b/i.test(source)
+      ? source
+      : `SELECT * FROM ${MemoryFile.quoteIdentifier(source)}`;
+    const format = (value) => {
+      if (value === null || value === undefined) return "";
+      const text =
+        value instanceof Uint8Array
+          ? this.uint8ArrayToBase64(value)
+          : String(value);
+      return text.includes(delimiter) || /["\r\n]|^\s|\s$/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    };
 
-  /**
-   * Decompress data using gzip (requires pako library)
-   */
-  async decompress(data) {
-    if (typeof pako === "undefined") {
-      throw new Error("Decompression failed: pako library not loaded");
+    const lines = [];
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      if (header) {
+        lines.push(stmt.getColumnNames().map(format).join(delimiter));
+      }
+      while (stmt.step()) {
+        lines.push(stmt.get().map(format).join(delimiter));
+      }
+    } finally {
+      stmt.free();
     }
 
-    return pako.ungzip(data);
+    return lines.map((line) => `${line}\r\n`).join("");
   }
 
   /**
-   * Check if data appears to be encrypted
-   * Validates minimum length, version byte, and excludes SQLite files
+   * Export the whole database as plain data
+   * BLOBs become {"$blob": base64}. Use JSON.stringify(dump, null, 2) for
+   * a file that diffs well in git.
+   * @returns {Object} { format, version, userVersion, schema, tables: { name: rows } }
    */
-  isEncryptedData(data) {
-    if (!data || data.length < 29) {
-      return false;
-    }
-
-    if (data[0] !== 1) {
-      return false;
+  exportJSON() {
+    if (!this.db) {
+      throw new Error("Database not initialized");
     }
 
-    // SQLite databases start with "SQLite format 3\0" signature
-    // If present, data is definitely not encrypted
-    if (
-      data.length >= 16 &&
-      data[0] === 0x53 &&
-      data[1] === 0x51 &&
-      data[2] === 0x4c
-    ) {
-      return false;
+    const tables = {};
+    for (const table of this.getTables()) {
+      tables[table] = this.readJSONRows(table);
     }
 
-    return true;
+    return {
+      format: "memoryfile-json",
+      version: 1,
+      userVersion: this.getVersion(),
+      schema: this.getDumpSchema(),
+      tables,
+    };
   }
 
   /**
-   * Derive encryption key from password using PBKDF2
-   * Requires Web Crypto API (HTTPS or modern browser)
+   * Export the database as newline-delimited JSON
+   * One header line, one line per schema entry, then one line per row,
+   * so other tools can process it line by line
    */
-  async deriveKey(password, salt) {
-    if (typeof crypto === "undefined" || typeof crypto.subtle === "undefined") {
-      throw new Error(
-        "Web Crypto API not available. Encryption requires HTTPS or a modern browser."
-      );
+  exportNDJSON() {
+    if (!this.db) {
+      throw new Error("Database not initialized");
     }
 
-    const encoder = new TextEncoder();
-    const passwordKey = await crypto.subtle.importKey(
-      "raw",
-      encoder.encode(password),
-      "PBKDF2",
-      false,
-      ["deriveBits", "deriveKey"]
-    );
-
-    return crypto.subtle.deriveKey(
+    const lines = [
       {
-        name: "PBKDF2",
-        salt: salt,
-        iterations: 100000,
-        hash: "SHA-256",
+        type: "header",
+        format: "memoryfile-ndjson",
+        version: 1,
+        userVersion: this.getVersion(),
       },
-      passwordKey,
-      { name: "AES-GCM", length: 256 },
-      false,
-      ["encrypt", "decrypt"]
-    );
+      ...this.getDumpSchema().map((schema) => ({ type: "schema", schema })),
+    ].map((line) => JSON.stringify(line));
+
+    for (const table of this.getTables()) {
+      for (const row of this.readJSONRows(table)) {
+        lines.push(JSON.stringify({ type: "row", table, row }));
+      }
+    }
+
+    return lines.map((line) => `${line}\n`).join("");
   }
 
   /**
-   * Encrypt data with AES-256-GCM
-   * @param {Uint8Array} data - Data to encrypt
-   * @param {string} password - Password for key derivation
-   * @returns {Promise<Uint8Array>} Encrypted data with metadata
+   * Recreate tables and rows from exportJSON() output
+   * Tables that already exist are an error unless replace is set, which
+   * drops them first. Indexes, triggers and views are created after the
+   * rows, and PRAGMA user_version is restored. Runs in one transaction.
+   * @param {Object|string} dump - exportJSON() result or its JSON text
+   * @param {Object} options - { replace }
+   * @returns {Promise<Object>} { tables, rows }
    */
-  async encryptData(data, password) {
-    if (!data || !(data instanceof Uint8Array)) {
-      throw new Error("Data must be a Uint8Array");
+  async importJSON(dump, { replace = false } = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
     }
-    if (typeof password !== "string" || password.length === 0) {
-      throw new Error("Password must be a non-empty string");
+
+    const data = typeof dump === "string" ? JSON.parse(dump) : dump;
+    if (!data || data.format !== "memoryfile-json") {
+      throw new Error("Not a MemoryFile JSON export");
     }
 
-    // Generate salt and IV
-    const salt = crypto.getRandomValues(new Uint8Array(16));
-    const iv = crypto.getRandomValues(new Uint8Array(12));
+    return this.transaction(async () => {
+      const importer = this.createDumpImporter(replace);
+      try {
+        for (const entry of data.schema || []) {
+          importer.schema(entry);
+        }
+        for (const [table, rows] of Object.entries(data.tables || {})) {
+          for (const row of rows) {
+            importer.row(table, row);
+          }
+        }
+        return importer.finish(data.userVersion);
+      } finally {
+        importer.free();
+      }
+    });
+  }
 
-    // Derive key from password
-    const key = await this.deriveKey(password, salt);
+  /**
+   * Import exportNDJSON() output, read line by line like importCSV()
+   * Other writes throw until it finishes, see runImport()
+   * @param {string|File|Blob} source - NDJSON text or file
+   * @param {Object} options - { replace, onProgress }
+   * @returns {Promise<Object>} { tables, rows }
+   */
+  async importNDJSON(source, { replace = false, onProgress = null } = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
 
-    // Encrypt data
-    const encrypted = await crypto.subtle.encrypt(
-      { name: "AES-GCM", iv: iv },
-      key,
-      data
-    );
+    return this.runImport("importNDJSON", async () => {
+      const importer = this.createDumpImporter(replace);
+      let userVersion = null;
+      let lineNumber = 0;
+      let hasHeader = false;
+      let rest = "";
 
-    // Create metadata
-    const metadata = {
-      version: 1,
-      algorithm: "AES-GCM-256",
-      kdf: "PBKDF2",
-      iterations: 100000,
-      timestamp: new Date().toISOString(),
-    };
+      const handleLine = (line) => {
+        lineNumber++;
+        if (!line.trim()) return;
 
-    // Store metadata for later display
-    this.encryptionMetadata = metadata;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${lineNumber}`);
+        }
 
-    // Format: version(1 byte)|salt(16 bytes)|iv(12 bytes)|encryptedData
-    const result = new Uint8Array(1 + 16 + 12 + encrypted.byteLength);
-    result[0] = metadata.version;
-    result.set(salt, 1);
-    result.set(iv, 17);
-    result.set(new Uint8Array(encrypted), 29);
+        // The first line with content must be the header
+        if (!hasHeader && entry.format !== "memoryfile-ndjson") {
+          throw new Error("Not a MemoryFile NDJSON export");
+        }
+        hasHeader = true;
+
+        if (entry.type === "header") {
+          userVersion = entry.userVersion;
+        } else if (entry.type === "schema") {
+          importer.schema(entry.schema);
+        } else if (entry.type === "row") {
+          importer.row(entry.table, entry.row);
+        }
+      };
 
-    return result;
+      try {
+        for await (const chunk of this.readTextChunks(source)) {
+          const lines = (rest + chunk.text).split("\n");
+          rest = lines.pop();
+          lines.forEach(handleLine);
+
+          if (onProgress) {
+            onProgress({
+              rows: importer.rows,
+              loaded: chunk.loaded,
+              total: chunk.total,
+            });
+          }
+          // Let the page render between chunks
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        handleLine(rest);
+        if (!hasHeader) {
+          throw new Error("Not a MemoryFile NDJSON export");
+        }
+        return importer.finish(userVersion);
+      } finally {
+        importer.free();
+      }
+    });
   }
 
   /**
-   * Decrypt data with AES-256-GCM
-   * @param {Uint8Array} encryptedData - Encrypted data with format: version|salt|iv|ciphertext
-   * @param {string} password - Password for key derivation
-   * @returns {Promise<Uint8Array>} Decrypted data
+   * Export the database as an SQL script
+   * CREATE statements from sqlite_master, then INSERTs built with SQLite's
+   * quote(), so REALs, text escapes and BLOBs (X'..') round trip exactly.
+   * Readable with the sqlite3 command line tool or any SQL client.
+   * @returns {string} SQL script
    */
-  async decryptData(encryptedData, password) {
-    if (!encryptedData || !(encryptedData instanceof Uint8Array)) {
-      throw new Error("Encrypted data must be a Uint8Array");
+  exportSQL() {
+    if (!this.db) {
+      throw new Error("Database not initialized");
     }
-    if (encryptedData.length < 29) {
-      throw new Error(
-        "Invalid encrypted data: insufficient length (minimum 29 bytes required)"
+
+    const lines = [
+      "-- MemoryFile SQL dump",
+      `-- Exported: ${new Date().toISOString()}`,
+    ];
+    if (this.commitMetadata?.commitHash) {
+      lines.push(`-- Commit: ${this.commitMetadata.commitHash}`);
+    }
+
+    const schema = this.getDumpSchema();
+    for (const entry of schema.filter((entry) => entry.type === "table")) {
+      lines.push("", `${entry.sql};`);
+
+      const table = MemoryFile.quoteIdentifier(entry.name);
+      const columns = entry.columns.map((column) =>
+        MemoryFile.quoteIdentifier(column.name)
       );
+      const values = columns
+        .map((column) => `quote(${column})`)
+        .join(" || ',' || ");
+      const result = this.db.exec(`SELECT ${values} FROM ${table}`);
+
+      for (const [row] of result.length ? result[0].values : []) {
+        lines.push(
+          `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${row});`
+        );
+      }
     }
-    if (typeof password !== "string" || password.length === 0) {
-      throw new Error("Password must be a non-empty string");
+
+    // AUTOINCREMENT counters, so new rows do not reuse deleted ids
+    const sequences = this.db.exec(
+      "SELECT name FROM sqlite_master WHERE name = 'sqlite_sequence'"
+    ).length
+      ? this.db.exec("SELECT quote(name), quote(seq) FROM sqlite_sequence")
+      : [];
+    if (sequences.length) {
+      lines.push("", "DELETE FROM sqlite_sequence;");
+      for (const [name, seq] of sequences[0].values) {
+        lines.push(`INSERT INTO sqlite_sequence VALUES (${name}, ${seq});`);
+      }
     }
 
-    const version = encryptedData[0];
-    if (version !== 1) {
-      throw new Error(`Unsupported encryption version: ${version}`);
+    const others = schema.filter((entry) => entry.type !== "table");
+    if (others.length) {
+      lines.push("");
+      for (const entry of others) {
+        lines.push(`${entry.sql};`);
+      }
     }
 
-    const salt = encryptedData.slice(1, 17);
-    const iv = encryptedData.slice(17, 29);
-    const ciphertext = encryptedData.slice(29);
+    lines.push("", `PRAGMA user_version = ${this.getVersion()};`);
+    return `${lines.join("\n")}\n`;
+  }
 
-    const key = await this.deriveKey(password, salt);
+  /**
+   * Run an SQL script, such as exportSQL() output, in one transaction
+   * BEGIN TRANSACTION and COMMIT lines of sqlite3 .dump output are skipped,
+   * the script runs inside a transaction already
+   * @param {string} script - SQL statements
+   */
+  async importSQL(script) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
 
-    try {
-      const decrypted = await crypto.subtle.decrypt(
-        { name: "AES-GCM", iv: iv },
-        key,
-        ciphertext
-      );
+    const statements = script.replace(
+      /^\s*(BEGIN TRANSACTION|COMMIT)\s*;\s*$/gim,
+      ""
+    );
 
-      this.encryptionMetadata = {
-        version: version,
-        algorithm: "AES-GCM-256",
-        kdf: "PBKDF2",
-        iterations: 100000,
-      };
+    await this.transaction(() => {
+      try {
+        this.db.exec(statements);
+      } catch (error) {
+        throw new Error(`SQL import failed: ${error.message}`);
+      }
+      this.markDirty();
+    });
+  }
 
-      return new Uint8Array(decrypted);
-    } catch (error) {
-      throw new Error(
-        "Decryption failed: incorrect password or corrupted data"
-      );
+  /**
+   * Schema entries for exportJSON(), tables first
+   */
+  getDumpSchema() {
+    const result = this.db.exec(`
+      SELECT type, name, tbl_name, sql FROM sqlite_master
+      WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%'
+      ORDER BY CASE type WHEN 'table' THEN 0 ELSE 1 END, rowid
+    `);
+    if (result.length === 0) {
+      return [];
     }
+
+    return result[0].values.map(([type, name, tableName, sql]) => {
+      const entry = { type, name, tableName, sql };
+      if (type === "table") {
+        entry.columns = this.getTableSchema(MemoryFile.quoteIdentifier(name));
+      }
+      return entry;
+    });
   }
 
   /**
-   * Get database size in bytes
+   * Read a table as JSON-safe row objects
    */
-  getDatabaseSize() {
-    if (!this.db) {
-      return 0;
+  readJSONRows(table) {
+    const rows = [];
+    const stmt = this.db.prepare(
+      `SELECT * FROM ${MemoryFile.quoteIdentifier(table)}`
+    );
+    try {
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        for (const [column, value] of Object.entries(row)) {
+          if (value instanceof Uint8Array) {
+            row[column] = { $blob: this.uint8ArrayToBase64(value) };
+          }
+        }
+        rows.push(row);
+      }
+    } finally {
+      stmt.free();
     }
-
-    const exported = this.db.export();
-    return exported.length;
+    return rows;
   }
 
   /**
-   * Get database size as base64 (including overhead)
+   * Shared steps of importJSON() and importNDJSON()
+   * Tables are created as their schema arrives, everything else at finish()
    */
-  getBase64Size() {
-    const dbSize = this.getDatabaseSize();
-    return Math.ceil((dbSize * 4) / 3); // Base64 adds ~33% overhead
-  }
+  createDumpImporter(replace) {
+    const deferred = [];
+    const tables = [];
+    const statements = new Map();
+    const importer = {
+      rows: 0,
+
+      schema: (entry) => {
+        if (entry.type !== "table") {
+          deferred.push(entry);
+          return;
+        }
 
-  /**
-   * Get all tables in the database
-   */
-  getTables() {
-    if (!this.db) {
-      return [];
-    }
+        const table = MemoryFile.quoteIdentifier(entry.name);
+        if (this.getTables().includes(entry.name)) {
+          if (!replace) {
+            throw new Error(`Table already exists: ${entry.name}`);
+          }
+          this.db.run(`DROP TABLE ${table}`);
+        }
+        this.db.run(entry.sql);
+        tables.push(entry.name);
+      },
 
-    const result = this.db.exec(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name NOT LIKE 'sqlite_%'
-      ORDER BY name
-    `);
+      row: (table, row) => {
+        const columns = Object.keys(row);
+        const key = JSON.stringify([table, columns]);
+        let stmt = statements.get(key);
+        if (!stmt) {
+          stmt = this.db.prepare(
+            `INSERT INTO ${MemoryFile.quoteIdentifier(table)} (${columns
+              .map((column) => MemoryFile.quoteIdentifier(column))
+              .join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+          );
+          statements.set(key, stmt);
+        }
 
-    if (result.length === 0) {
-      return [];
-    }
+        stmt.run(
+          columns.map((column) => {
+            const value = row[column];
+            return value && typeof value.$blob === "string"
+              ? this.base64ToUint8Array(value.$blob)
+              : value;
+          })
+        );
+        importer.rows++;
+      },
 
-    return result[0].values.map((row) => row[0]);
+      finish: (userVersion) => {
+        importer.free();
+        for (const entry of deferred) {
+          if (replace) {
+            this.db.run(
+              `DROP ${entry.type.toUpperCase()} IF EXISTS ${MemoryFile.quoteIdentifier(
+                entry.name
+              )}`
+            );
+          }
+          this.db.run(entry.sql);
+        }
+        if (Number.isInteger(userVersion)) {
+          this.setVersion(userVersion);
+        }
+        this.markDirty();
+        return { tables, rows: importer.rows };
+      },
+
+      free: () => {
+        for (const stmt of statements.values()) {
+          stmt.free();
+        }
+        statements.clear();
+      },
+    };
+    return importer;
   }
 
   /**
-   * Get table schema
+   * Incremental CSV parser (RFC 4180 quoting, any line ending)
+   * push() returns the rows completed by a chunk, flush() the last row
    */
-  getTableSchema(tableName) {
-    if (!this.db) {
-      throw new Error("Database not initialized");
-    }
+  static createCSVParser(delimiter = ",") {
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let quoteSeen = false; // Quote inside quotes, either "" or the closing one
+    let fieldStart = true;
+    let skipLineFeed = false;
+    let started = false;
+
+    const endRow = (rows) => {
+      row.push(field);
+      // Blank lines hold no data
+      if (row.length > 1 || row[0] !== "") {
+        rows.push(row);
+      }
+      row = [];
+      field = "";
+      fieldStart = true;
+    };
 
-    const result = this.db.exec(`PRAGMA table_info(${tableName})`);
+    return {
+      push(text) {
+        const rows = [];
+        let i = 0;
+        if (!started && text.length > 0) {
+          started = true;
+          if (text.charCodeAt(0) === 0xfeff) i = 1; // Byte order mark
+        }
 
-    if (result.length === 0) {
-      return [];
-    }
+        for (; i < text.length; i++) {
+          const char = text[i];
 
-    return result[0].values.map((row) => ({
-      cid: row[0],
-      name: row[1],
-      type: row[2],
-      notNull: row[3] === 1,
-      defaultValue: row[4],
-      primaryKey: row[5] === 1,
-    }));
+          if (skipLineFeed) {
+            skipLineFeed = false;
+            if (char === "\n") continue;
+          }
+
+          if (inQuotes) {
+            if (quoteSeen) {
+              quoteSeen = false;
+              if (char === '"') {
+                field += '"';
+                continue;
+              }
+              inQuotes = false;
+            } else {
+              if (char === '"') {
+                quoteSeen = true;
+              } else {
+                field += char;
+              }
+              continue;
+            }
+          }
+
+          if (char === '"' && fieldStart) {
+            inQuotes = true;
+            fieldStart = false;
+          } else if (char === delimiter) {
+            row.push(field);
+            field = "";
+            fieldStart = true;
+          } else if (char === "\r" || char === "\n") {
+            endRow(rows);
+            skipLineFeed = char === "\r";
+          } else {
+            field += char;
+            fieldStart = false;
+          }
+        }
+
+        return rows;
+      },
+
+      flush() {
+        const rows = [];
+        if (field !== "" || row.length > 0 || inQuotes) {
+          endRow(rows);
+        }
+        inQuotes = false;
+        quoteSeen = false;
+        return rows;
+      },
+    };
   }
 
   /**
-   * Get database version
+   * Pick a column type from sample values
+   * Numbers with leading zeros (zip codes, ids) stay TEXT
    */
-  getVersion() {
-    if (!this.db) {
-      return 0;
-    }
+  static inferCSVType(values) {
+    const present = values.filter(
+      (value) => value !== undefined && value !== ""
+    );
+    if (present.length === 0) return "TEXT";
+    if (present.some((value) => /^[-+]?0\d/.test(value))) return "TEXT";
 
-    const result = this.db.exec("PRAGMA user_version");
-    return result[0]?.values[0][0] || 0;
+    if (
+      present.every(
+        (value) =>
+          /^[-+]?\d+$/.test(value) && Number.isSafeInteger(Number(value))
+      )
+    ) {
+      return "INTEGER";
+    }
+    if (
+      present.every((value) =>
+        /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)
+      )
+    ) {
+      return "REAL";
+    }
+    return "TEXT";
   }
 
   /**
-   * Set database version
+   * Convert a CSV field for a column type, empty fields become NULL
    */
-  setVersion(version) {
-    if (!this.db) {
-      throw new Error("Database not initialized");
+  static convertCSVValue(value, type) {
+    if (value === undefined || value === "") return null;
+
+    const affinity = String(type).toUpperCase();
+    if (
+      (affinity.includes("INT") ||
+        affinity.includes("REAL") ||
+        affinity.includes("FLOA") ||
+        affinity.includes("DOUB") ||
+        affinity.includes("NUM")) &&
+      /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)
+    ) {
+      return Number(value);
     }
+    return value;
+  }
 
-    this.db.run(`PRAGMA user_version = ${parseInt(version)}`);
+  /**
+   * Quote an SQL identifier
+   */
+  static quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
   }
 
   /**
@@ -946,13 +4177,28 @@ class MemoryFile {
    * Clears sensitive data from memory (best effort - JavaScript cannot guarantee memory wipe)
    */
   close() {
+    clearTimeout(this.autoSaveTimer);
+    this.autoSaveTimer = null;
+    this.detachPageListeners();
+
     if (this.db) {
       this.db.close();
       this.db = null;
     }
+    for (const attached of this.attachedDatabases.values()) {
+      attached.close();
+    }
+    this.attachedDatabases.clear();
 
     this.currentPassword = null;
+    this.passwordKeys.clear();
     this.encryptionMetadata = null;
+    this.recipients = [];
+    this.recovery = null;
+    if (this.envelope) {
+      this.envelope.dataKey.fill(0);
+      this.envelope = null;
+    }
   }
 
   /**
@@ -1184,6 +4430,13 @@ class MemoryFile {
     return this.options.encrypted === true;
   }
 
+  /**
+   * Check if saves can encrypt, with a password or for recipients alone
+   */
+  hasEncryptionKey(password) {
+    return !!password || this.recipients.length > 0;
+  }
+
   /**
    * Get encryption metadata
    */
@@ -1193,6 +4446,8 @@ class MemoryFile {
 
   /**
    * Change password (will take effect on next save)
+   * With key slots only the password slot is wrapped again. The database
+   * key stays, so recipients and the recovery code keep working
    * @param {string} newPassword - New password to use for encryption
    */
   changePassword(newPassword) {
@@ -1209,6 +4464,374 @@ class MemoryFile {
     }
 
     this.currentPassword = newPassword;
+    this.passwordKeys.clear();
+    this.emit("password-changed");
+  }
+
+  /**
+   * Change the password and re-encrypt the saved copies right away
+   * changePassword() leaves the IndexedDB copy and the file on the old
+   * password until the next save. This checks the old password against
+   * them, then saves with saveToFile(), which writes IndexedDB first
+   * @param {Object} options - { filename } plus saveToFile() options
+   * @returns {Promise<Object>} { updated, save }
+   *   updated lists the copies now on the new password: "storage", "file"
+   *   when written in place, "download" or "share" for a new copy
+   *   save is the saveToFile() result
+   * If the file save fails after IndexedDB was re-encrypted, the error says
+   * so and its updated property is ["storage"]
+   */
+  async rotatePassword(oldPassword, newPassword, options = {}) {
+    if (!this.db) {
+      throw new Error("Database not initialized");
+    }
+    if (!this.options.encrypted) {
+      throw new Error("Cannot change password: encryption is not enabled");
+    }
+    if (typeof newPassword !== "string" || newPassword.length === 0) {
+      throw new Error("New password cannot be empty");
+    }
+    if (!(await this.checkPassword(oldPassword))) {
+      throw new Error("Cannot change password: old password is incorrect");
+    }
+
+    // saveToFile() keeps going when IndexedDB fails, the event tells
+    let persisted = false;
+    const unsubscribe = this.on("persist", () => {
+      persisted = true;
+    });
+
+    const previousPassword = this.currentPassword;
+    let save;
+    try {
+      save = await this.saveToFile(
+        options.filename || "app.html",
+        newPassword,
+        true,
+        options
+      );
+    } catch (error) {
+      if (!persisted) {
+        this.currentPassword = previousPassword;
+        throw error;
+      }
+      // The IndexedDB copy already needs the new password
+      this.emit("password-changed");
+      throw Object.assign(
+        new Error(
+          `Password changed for the IndexedDB copy only: ${error.message}`
+        ),
+        { updated: ["storage"] }
+      );
+    } finally {
+      unsubscribe();
+    }
+
+    // Also after a cancelled file save, later saves use the new password
+    this.currentPassword = newPassword;
+    if (!save.passwordChanged) {
+      this.emit("password-changed");
+    }
+
+    const updated = persisted ? ["storage"] : [];
+    if (save.savedInPlace) {
+      updated.push("file");
+    } else if (save.method === "share" || save.method === "download") {
+      updated.push(save.method);
+    } else if (save.method === "storage") {
+      // The download fallback reports "storage" when IndexedDB is on
+      updated.push("download");
+    }
+
+    return { updated, save };
+  }
+
+  /**
+   * Check a password against the saved copies
+   * True if it opens any of them, the IndexedDB copy first and then the
+   * embedded database. Before anything was saved encrypted, the password
+   * in memory is compared
+   */
+  async checkPassword(password) {
+    if (typeof password !== "string" || password.length === 0) {
+      return false;
+    }
+
+    const copies = [];
+    if (this.options.persistToStorage) {
+      try {
+        const record = await this.getStoredRecord(this.getStorageKey());
+        if (record && record.data) {
+          copies.push(record.data);
+        }
+      } catch (error) {
+        console.warn("Failed to read IndexedDB copy:", error);
+      }
+    }
+    const dbScript = document.getElementById(this.options.embedId);
+    if (dbScript) {
+      copies.push(dbScript.textContent.trim());
+    }
+
+    // A copy may only hold recipient slots, so one failure proves nothing
+    let encrypted = false;
+    for (const base64Data of copies) {
+      const data = this.base64ToUint8Array(base64Data);
+      if (!this.isEncryptedData(data)) continue;
+
+      encrypted = true;
+      try {
+        await this.decryptDetached(data, password);
+        return true;
+      } catch (error) {
+        // Try the next copy
+      }
+    }
+
+    return !encrypted && password === this.currentPassword;
+  }
+
+  /**
+   * Share the encrypted database with the holder of an ECDH key pair
+   * The database key is wrapped for each recipient in the saved file, so
+   * recipients open it with their stored private key instead of a shared
+   * password. Takes effect on next save
+   * @param {Object} publicKey - P-256 public key as JWK, see createKeyPair()
+   * @param {string} name - Label stored in the file
+   * @returns {Promise<string>} Recipient id
+   */
+  async addRecipient(publicKey, name = null) {
+    if (!this.options.encrypted) {
+      throw new Error("Cannot add recipient: encryption is not enabled");
+    }
+    if (this.options.encryptionVersion === 1) {
+      throw new Error("Encryption version 1 does not support recipients");
+    }
+    if (
+      !publicKey ||
+      publicKey.kty !== "EC" ||
+      publicKey.crv !== "P-256" ||
+      typeof publicKey.x !== "string" ||
+      typeof publicKey.y !== "string"
+    ) {
+      throw new Error("Recipient key must be a P-256 public key in JWK format");
+    }
+
+    const jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: publicKey.x,
+      y: publicKey.y,
+    };
+    try {
+      await crypto.subtle.importKey(
+        "jwk",
+        jwk,
+        { name: "ECDH", namedCurve: "P-256" },
+        false,
+        []
+      );
+    } catch (error) {
+      throw new Error(`Invalid recipient key: ${error.message}`);
+    }
+
+    const id = await this.getKeyId(jwk);
+    this.recipients = [
+      ...this.recipients.filter((recipient) => recipient.id !== id),
+      { id, name, publicKey: jwk },
+    ];
+    this.emit("recipients-changed", { recipients: this.getRecipients() });
+    return id;
+  }
+
+  /**
+   * Stop sharing the database with a recipient
+   * The database key is replaced on the next save, so the removed key pair
+   * cannot open that save or later ones. Copies saved before stay readable
+   * to it. A password slot is wrapped again, which needs the password
+   * @returns {boolean} False if id is not a recipient
+   */
+  removeRecipient(id) {
+    const remaining = this.recipients.filter(
+      (recipient) => recipient.id !== id
+    );
+    if (remaining.length === this.recipients.length) {
+      return false;
+    }
+
+    this.replaceDataKey();
+    this.recipients = remaining;
+    this.emit("recipients-changed", { recipients: this.getRecipients() });
+    return true;
+  }
+
+  /**
+   * Use a new database key from the next save on
+   * The password slot is wrapped again for it, which needs the password.
+   * Recipient and recovery slots only need public keys
+   */
+  replaceDataKey() {
+    if (!this.envelope) return;
+
+    if (this.envelope.passwordSlot && !this.currentPassword) {
+      throw new Error(
+        "Password required: Replacing the database key also rewraps the password slot"
+      );
+    }
+    this.envelope.dataKey.fill(0);
+    this.envelope = null;
+  }
+
+  /**
+   * Recipients the database is encrypted for
+   * @returns {Array} { id, name, publicKey }
+   */
+  getRecipients() {
+    return this.recipients.map((recipient) => ({ ...recipient }));
+  }
+
+  /**
+   * Short id of a public key, the first 16 hex digits of its SHA-256
+   */
+  async getKeyId(publicKey) {
+    const digest = await this.digestHex(
+      new TextEncoder().encode(`${publicKey.crv}:${publicKey.x}:${publicKey.y}`)
+    );
+    return digest.slice(0, 16);
+  }
+
+  /**
+   * Create a recovery code that opens the database without the password
+   * The code is the private key of an ECDH key pair, the file only keeps the
+   * public key in a recovery key slot. Show the code once and have an admin
+   * keep it offline. A new code replaces the database key like
+   * removeRecoveryCode(). Takes effect on next save
+   * @returns {Promise<string>} 56 characters in groups of 8, the last 4 a checksum
+   */
+  async createRecoveryCode() {
+    if (!this.options.encrypted) {
+      throw new Error("Cannot create recovery code: encryption is not enabled");
+    }
+    if (this.options.encryptionVersion === 1) {
+      throw new Error("Encryption version 1 does not support recovery codes");
+    }
+
+    if (this.recovery) {
+      this.replaceDataKey();
+    }
+
+    const keyPair = await crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      true,
+      ["deriveBits"]
+    );
+    const { kty, crv, x, y, d } = await crypto.subtle.exportKey(
+      "jwk",
+      keyPair.privateKey
+    );
+    this.recovery = { publicKey: { kty, crv, x, y } };
+
+    const privateKey = this.base64UrlToUint8Array(d);
+    try {
+      return await this.formatRecoveryCode(privateKey);
+    } finally {
+      privateKey.fill(0);
+    }
+  }
+
+  /**
+   * Remove the recovery code
+   * The database key is replaced on the next save, as for removeRecipient()
+   * @returns {boolean} False if there was no recovery code
+   */
+  removeRecoveryCode() {
+    if (!this.recovery) {
+      return false;
+    }
+
+    this.replaceDataKey();
+    this.recovery = null;
+    return true;
+  }
+
+  /**
+   * Check if saves include a recovery key slot
+   */
+  hasRecoveryCode() {
+    return !!this.recovery;
+  }
+
+  /**
+   * Load the database with its recovery code after the password was lost
+   * Loads like loadEmbeddedDatabase() and sets a new password, which applies
+   * from the next save. Recipients and the recovery code keep working
+   * @param {string} recoveryCode - As returned by createRecoveryCode()
+   * @param {string} newPassword - Replaces the lost password
+   */
+  async loadWithRecoveryCode(recoveryCode, newPassword) {
+    if (!this.options.encrypted) {
+      throw new Error("Cannot recover: encryption is not enabled");
+    }
+    if (typeof newPassword !== "string" || newPassword.length === 0) {
+      throw new Error("New password cannot be empty");
+    }
+
+    this.recoveryKey = await this.parseRecoveryCode(recoveryCode);
+    try {
+      await this.loadEmbeddedDatabase();
+    } finally {
+      this.recoveryKey.fill(0);
+      this.recoveryKey = null;
+    }
+
+    this.changePassword(newPassword);
+    return this.db;
+  }
+
+  /**
+   * Recovery code as printed: Crockford base32 of the private key, then the
+   * first 20 bits of its SHA-256 as a checksum
+   */
+  async formatRecoveryCode(privateKey) {
+    const digest = new Uint8Array(
+      await crypto.subtle.digest("SHA-256", privateKey)
+    );
+    const code =
+      this.encodeBase32(privateKey) + this.encodeBase32(digest).slice(0, 4);
+    return code.match(/.{1,8}/g).join("-");
+  }
+
+  /**
+   * Read a recovery code as typed by a user
+   * Ignores case, spaces and dashes, and reads O as 0 and I or L as 1
+   * @returns {Promise<Uint8Array>} Private key bytes
+   */
+  async parseRecoveryCode(recoveryCode) {
+    if (typeof recoveryCode !== "string") {
+      throw new Error("Recovery code must be a string");
+    }
+
+    const code = recoveryCode
+      .toUpperCase()
+      .replace(/[\s-]/g, "")
+      .replace(/O/g, "0")
+      .replace(/[IL]/g, "1");
+    if (!/^[0-9A-HJKMNP-TV-Z]{56}$/.test(code)) {
+      throw new Error("Invalid recovery code: expected 56 letters and digits");
+    }
+
+    const privateKey = this.decodeBase32(code.slice(0, 52), 32);
+    const digest = new Uint8Array(
+      await crypto.subtle.digest("SHA-256", privateKey)
+    );
+    if (this.encodeBase32(digest).slice(0, 4) !== code.slice(52)) {
+      privateKey.fill(0);
+      throw new Error(
+        "Invalid recovery code: checksum mismatch, check for typos"
+      );
+    }
+
+    return privateKey;
   }
 }
 
@@ -340,6 +340,170 @@ async function registerIntegrationTests(runner) {
 
       fusion.close();
     });
+
+    const MIGRATIONS = [
+      {
+        version: 1,
+        description: "Create users",
+        up: "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)",
+      },
+      {
+        version: 2,
+        description: "Add email",
+        up: (mf) => mf.run("ALTER TABLE users ADD COLUMN email TEXT"),
+      },
+    ];
+
+    runner.test("should run pending migrations with migrate()", async () => {
+      const fusion = new HTMLSQLiteFusion({ appVersion: "2.0.0" });
+      await fusion.createDatabase();
+
+      const applied = await fusion.migrate(MIGRATIONS);
+
+      Assert.assertArrayEqual(applied, [1, 2]);
+      Assert.assertEqual(fusion.getVersion(), 2);
+      Assert.assertTrue(
+        fusion.getTableSchema("users").some((col) => col.name === "email")
+      );
+
+      const recorded = fusion.getAppliedMigrations();
+      Assert.assertEqual(recorded.length, 2);
+      Assert.assertEqual(recorded[1].description, "Add email");
+      Assert.assertEqual(recorded[1].appVersion, "2.0.0");
+
+      Assert.assertArrayEqual(await fusion.migrate(MIGRATIONS), []);
+
+      fusion.close();
+    });
+
+    runner.test("should skip steps at or below user_version", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase(
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)"
+      );
+      fusion.setVersion(1);
+
+      const applied = await fusion.migrate(MIGRATIONS);
+
+      Assert.assertArrayEqual(applied, [2]);
+      Assert.assertEqual(fusion.getAppliedMigrations().length, 1);
+
+      fusion.close();
+    });
+
+    runner.test("should roll back every step when one fails", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase();
+
+      await Assert.assertThrowsAsync(
+        () =>
+          fusion.migrate([
+            ...MIGRATIONS,
+            { version: 3, up: "ALTER TABLE missing ADD COLUMN x TEXT" },
+          ]),
+        "Migration 3 failed"
+      );
+
+      Assert.assertEqual(fusion.getVersion(), 0);
+      Assert.assertEqual(fusion.getTables().length, 0);
+      Assert.assertEqual(fusion.getAppliedMigrations().length, 0);
+
+      fusion.close();
+    });
+
+    runner.test("should reject invalid migration lists", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase();
+
+      await Assert.assertThrowsAsync(
+        () => fusion.migrate([MIGRATIONS[0], MIGRATIONS[0]]),
+        "Duplicate migration version"
+      );
+      await Assert.assertThrowsAsync(
+        () => fusion.migrate([{ version: 0, up: "SELECT 1" }]),
+        "Invalid migration version"
+      );
+      await Assert.assertThrowsAsync(
+        () => fusion.migrate([{ version: 1 }]),
+        "needs an up function or SQL string"
+      );
+
+      fusion.close();
+    });
+
+    runner.test("should migrate older copies on load", async () => {
+      const older = new HTMLSQLiteFusion({ encrypted: false });
+      await older.createDatabase(
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)"
+      );
+      older.run("INSERT INTO users (name) VALUES ('Alice')");
+      older.setVersion(1);
+
+      const embedded = document.getElementById("embedded-db");
+      const original = embedded.textContent;
+      embedded.textContent = older.uint8ArrayToBase64(older.exportDatabase());
+      older.close();
+
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+          migrations: MIGRATIONS,
+        });
+        await fusion.loadEmbeddedDatabase();
+
+        Assert.assertEqual(fusion.getVersion(), 2);
+        const result = fusion.exec("SELECT name, email FROM users");
+        Assert.assertEqual(result[0].name, "Alice");
+        Assert.assertNull(result[0].email);
+
+        fusion.close();
+      } finally {
+        embedded.textContent = original;
+      }
+    });
+
+    runner.test(
+      "should not save to a file after migrating on load",
+      async () => {
+        const older = new HTMLSQLiteFusion({ encrypted: false });
+        await older.createDatabase(
+          "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)"
+        );
+        older.setVersion(1);
+
+        const embedded = document.getElementById("embedded-db");
+        const original = embedded.textContent;
+        embedded.textContent = older.uint8ArrayToBase64(older.exportDatabase());
+        older.close();
+
+        try {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+            autoSave: true,
+            migrations: MIGRATIONS,
+          });
+          let saves = 0;
+          fusion.saveToFile = async () => {
+            saves++;
+            return { success: true };
+          };
+          await fusion.loadEmbeddedDatabase();
+
+          Assert.assertEqual(fusion.getVersion(), 2);
+          Assert.assertEqual(saves, 0, "No file save without a user gesture");
+          Assert.assertTrue(fusion.isDirty());
+
+          fusion.run("INSERT INTO users (name) VALUES ('Bob')");
+          Assert.assertEqual(saves, 1);
+
+          fusion.close();
+        } finally {
+          embedded.textContent = original;
+        }
+      }
+    );
   });
 
   // ==========================================
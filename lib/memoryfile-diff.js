@@ -0,0 +1,309 @@
+/**
+ * MemoryFileDiff - Table-level diff between two MemoryFile snapshots
+ * Compares rows by primary key and schema from sqlite_master
+ */
+
+class MemoryFileDiff {
+  constructor(memoryFile = null, config = {}) {
+    this.memoryFile = memoryFile || new MemoryFile();
+    this.config = {
+      ignoreTables: config.ignoreTables || [],
+      ...config,
+    };
+  }
+
+  /**
+   * Compare two versions of a MemoryFile
+   * Sources can be HTML strings, HTML Files, exported Uint8Arrays,
+   * sql.js databases or MemoryFile instances
+   * @param {*} before - Older version (e.g. the parent commit)
+   * @param {*} after - Newer version
+   * @param {Object} options - { password, beforePassword, afterPassword }
+   */
+  async compare(before, after, options = {}) {
+    const beforeSnapshot = await this.open(
+      before,
+      options.beforePassword || options.password
+    );
+    const afterSnapshot = await this.open(
+      after,
+      options.afterPassword || options.password
+    );
+
+    try {
+      const result = this.diffDatabases(beforeSnapshot.db, afterSnapshot.db);
+      result.before = beforeSnapshot.commitMetadata;
+      result.after = afterSnapshot.commitMetadata;
+      return result;
+    } finally {
+      if (beforeSnapshot.owned) beforeSnapshot.db.close();
+      if (afterSnapshot.owned) afterSnapshot.db.close();
+    }
+  }
+
+  /**
+   * Resolve a source to a sql.js database
+   * owned is true when the database was opened here and must be closed
+   */
+  async open(source, password = null) {
+    if (source && typeof source.getCommitMetadata === "function") {
+      // MemoryFile instance
+      return {
+        db: source.db,
+        commitMetadata: source.getCommitMetadata(),
+        owned: false,
+      };
+    }
+
+    if (source && typeof source.export === "function") {
+      // sql.js Database
+      return { db: source, commitMetadata: null, owned: false };
+    }
+
+    const snapshot = await this.memoryFile.openSnapshot(source, password);
+    return { ...snapshot, owned: true };
+  }
+
+  /**
+   * Diff two open sql.js databases
+   * @returns {Object} { schema: {added, removed, changed}, tables: {name: {added, removed, changed}}, summary }
+   */
+  diffDatabases(beforeDb, afterDb) {
+    const beforeSchema = this.getSchema(beforeDb);
+    const afterSchema = this.getSchema(afterDb);
+
+    const schema = { added: [], removed: [], changed: [] };
+    for (const [name, entry] of afterSchema) {
+      const previous = beforeSchema.get(name);
+      if (!previous) {
+        schema.added.push(entry);
+      } else if (previous.sql !== entry.sql) {
+        schema.changed.push({
+          name,
+          type: entry.type,
+          before: previous.sql,
+          after: entry.sql,
+        });
+      }
+    }
+    for (const [name, entry] of beforeSchema) {
+      if (!afterSchema.has(name)) {
+        schema.removed.push(entry);
+      }
+    }
+
+    const tableNames = new Set();
+    for (const map of [beforeSchema, afterSchema]) {
+      for (const entry of map.values()) {
+        if (
+          entry.type === "table" &&
+          !this.config.ignoreTables.includes(entry.name)
+        ) {
+          tableNames.add(entry.name);
+        }
+      }
+    }
+
+    const tables = {};
+    const summary = { added: 0, removed: 0, changed: 0 };
+
+    for (const table of [...tableNames].sort()) {
+      const tableDiff = this.diffTable(
+        beforeSchema.has(table) ? beforeDb : null,
+        afterSchema.has(table) ? afterDb : null,
+        table
+      );
+
+      if (
+        tableDiff.added.length ||
+        tableDiff.removed.length ||
+        tableDiff.changed.length
+      ) {
+        tables[table] = tableDiff;
+        summary.added += tableDiff.added.length;
+        summary.removed += tableDiff.removed.length;
+        summary.changed += tableDiff.changed.length;
+      }
+    }
+
+    return { schema, tables, summary };
+  }
+
+  /**
+   * Diff the rows of one table
+   * A null database means the table does not exist on that side
+   */
+  diffTable(beforeDb, afterDb, table) {
+    const keyColumns = this.getKeyColumns(afterDb || beforeDb, table);
+    const beforeRows = beforeDb
+      ? this.readRows(beforeDb, table, keyColumns)
+      : new Map();
+    const afterRows = afterDb
+      ? this.readRows(afterDb, table, keyColumns)
+      : new Map();
+
+    // Only columns on both sides are compared, column changes show in schema
+    const sharedColumns =
+      beforeDb && afterDb
+        ? this.getColumns(beforeDb, table).filter((column) =>
+            this.getColumns(afterDb, table).includes(column)
+          )
+        : [];
+
+    const result = { keyColumns, added: [], removed: [], changed: [] };
+
+    for (const [keyString, after] of afterRows) {
+      const before = beforeRows.get(keyString);
+      if (!before) {
+        result.added.push(after.row);
+        continue;
+      }
+
+      const columns = sharedColumns.filter(
+        (column) =>
+          !MemoryFileDiff.valuesEqual(before.row[column], after.row[column])
+      );
+      if (columns.length > 0) {
+        result.changed.push({
+          key: after.key,
+          before: before.row,
+          after: after.row,
+          columns,
+        });
+      }
+    }
+
+    for (const [keyString, before] of beforeRows) {
+      if (!afterRows.has(keyString)) {
+        result.removed.push(before.row);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read schema objects from sqlite_master keyed by name
+   */
+  getSchema(db) {
+    const result = db.exec(`
+      SELECT type, name, tbl_name, sql FROM sqlite_master
+      WHERE name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+
+    const schema = new Map();
+    if (result.length === 0) {
+      return schema;
+    }
+
+    for (const [type, name, tableName, sql] of result[0].values) {
+      schema.set(name, { type, name, tableName, sql });
+    }
+    return schema;
+  }
+
+  /**
+   * Get column names of a table
+   */
+  getColumns(db, table) {
+    const result = db.exec(
+      `PRAGMA table_info(${MemoryFileDiff.quoteIdentifier(table)})`
+    );
+    return result.length ? result[0].values.map((row) => row[1]) : [];
+  }
+
+  /**
+   * Get primary key columns in key order, or ["rowid"] for tables without one
+   */
+  getKeyColumns(db, table) {
+    const result = db.exec(
+      `PRAGMA table_info(${MemoryFileDiff.quoteIdentifier(table)})`
+    );
+    if (result.length === 0) {
+      return ["rowid"];
+    }
+
+    const keyColumns = result[0].values
+      .filter((row) => row[5] > 0)
+      .sort((a, b) => a[5] - b[5])
+      .map((row) => row[1]);
+
+    return keyColumns.length > 0 ? keyColumns : ["rowid"];
+  }
+
+  /**
+   * Read all rows of a table keyed by serialized primary key
+   */
+  readRows(db, table, keyColumns) {
+    const usesRowid = keyColumns.length === 1 && keyColumns[0] === "rowid";
+    const sql = usesRowid
+      ? `SELECT _rowid_ AS __rowid, * FROM ${MemoryFileDiff.quoteIdentifier(
+          table
+        )}`
+      : `SELECT * FROM ${MemoryFileDiff.quoteIdentifier(table)}`;
+
+    const rows = new Map();
+    const stmt = db.prepare(sql);
+    try {
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        let key;
+        if (usesRowid) {
+          key = { rowid: row.__rowid };
+          delete row.__rowid;
+        } else {
+          key = {};
+          for (const column of keyColumns) {
+            key[column] = row[column];
+          }
+        }
+        rows.set(MemoryFileDiff.serializeKey(key), { key, row });
+      }
+    } finally {
+      stmt.free();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Compare two SQLite values, including BLOBs
+   */
+  static valuesEqual(a, b) {
+    if (a instanceof Uint8Array && b instanceof Uint8Array) {
+      if (a.length !== b.length) return false;
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+      }
+      return true;
+    }
+    return a === b;
+  }
+
+  /**
+   * Serialize a primary key object to a map key
+   */
+  static serializeKey(key) {
+    return JSON.stringify(
+      Object.values(key).map((value) =>
+        value instanceof Uint8Array ? Array.from(value) : value
+      )
+    );
+  }
+
+  /**
+   * Quote an SQL identifier
+   */
+  static quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+}
+
+// Export for both module and global usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MemoryFileDiff;
+}
+if (typeof window !== "undefined") {
+  window.MemoryFileDiff = MemoryFileDiff;
+}
@@ -0,0 +1,786 @@
+/**
+ * MemoryFileMerge - Three-way merge of diverged MemoryFile copies
+ * Uses the common parent commit as the base and merges rows by primary key
+ */
+
+class MemoryFileMerge {
+  constructor(memoryFile = null, config = {}) {
+    this.memoryFile = memoryFile || new MemoryFile();
+    this.config = {
+      conflictTable: "merge_conflicts",
+      historyTable: "commit_history",
+      ignoreTables: [],
+      onConflict: null,
+      ...config,
+    };
+    this.differ = new MemoryFileDiff(this.memoryFile, {
+      ignoreTables: [
+        this.config.conflictTable,
+        this.config.historyTable,
+        "schema_migrations",
+        ...this.config.ignoreTables,
+      ],
+    });
+  }
+
+  /**
+   * Merge their copy into ours
+   * When ours is a MemoryFile instance it is changed in place, otherwise
+   * the merged database is returned and the caller must close it
+   * @param {*} ours - Copy that receives the merge (usually the open MemoryFile)
+   * @param {*} theirs - Diverged copy to merge in
+   * @param {Object} options - { base, password, basePassword, oursPassword, theirsPassword, onConflict }
+   *   base is the parent copy, or an array of candidate copies to pick it from
+   * @returns {Promise<Object>} { db, base, ours, theirs, applied, conflicts, unresolved }
+   */
+  async merge(ours, theirs, options = {}) {
+    const onConflict = options.onConflict || this.config.onConflict;
+    const opened = [];
+
+    try {
+      const oursSnapshot = await this.differ.open(
+        ours,
+        options.oursPassword || options.password
+      );
+      opened.push(oursSnapshot);
+      const theirsSnapshot = await this.differ.open(
+        theirs,
+        options.theirsPassword || options.password
+      );
+      opened.push(theirsSnapshot);
+
+      const ancestorHash = this.findCommonAncestor(
+        oursSnapshot,
+        theirsSnapshot
+      );
+      const baseSnapshot = await this.openBase(
+        options.base,
+        ancestorHash,
+        options.basePassword || options.password,
+        opened
+      );
+
+      const baseToOurs = this.differ.diffDatabases(
+        baseSnapshot.db,
+        oursSnapshot.db
+      );
+      const baseToTheirs = this.differ.diffDatabases(
+        baseSnapshot.db,
+        theirsSnapshot.db
+      );
+
+      const result = {
+        db: oursSnapshot.db,
+        base: baseSnapshot.commitMetadata,
+        ours: oursSnapshot.commitMetadata,
+        theirs: theirsSnapshot.commitMetadata,
+        applied: { added: 0, removed: 0, changed: 0, schema: 0, commits: 0 },
+        conflicts: [],
+        unresolved: [],
+      };
+
+      const db = oursSnapshot.db;
+      const apply = async () => {
+        this.mergeSchema(db, baseToOurs, baseToTheirs, result);
+        for (const table of Object.keys(baseToTheirs.tables)) {
+          const skipped = result.conflicts.some(
+            (c) => c.kind === "schema" && c.table === table
+          );
+          if (skipped || !this.hasTable(db, table)) {
+            continue;
+          }
+          await this.mergeTable(
+            db,
+            theirsSnapshot.db,
+            table,
+            baseToOurs.tables[table],
+            baseToTheirs.tables[table],
+            result,
+            onConflict
+          );
+        }
+        result.applied.commits = this.mergeHistory(db, theirsSnapshot.db);
+        this.recordConflicts(db, result.unresolved, result.theirs);
+
+        if (typeof ours.markDirty === "function") {
+          ours.markDirty();
+        }
+      };
+
+      if (ours && typeof ours.transaction === "function") {
+        // Also nests inside a transaction the app already opened
+        await ours.transaction(apply);
+      } else {
+        db.exec("BEGIN");
+        try {
+          await apply();
+          db.exec("COMMIT");
+        } catch (error) {
+          db.exec("ROLLBACK");
+          throw error;
+        }
+      }
+
+      // The merged database now belongs to the caller
+      oursSnapshot.owned = false;
+      return result;
+    } finally {
+      for (const snapshot of opened) {
+        if (snapshot.owned) snapshot.db.close();
+      }
+    }
+  }
+
+  /**
+   * Find the newest commit both copies descend from
+   * Walks parent links from each copy's commit-metadata through commit_history
+   */
+  findCommonAncestor(oursSnapshot, theirsSnapshot) {
+    const oursChain = this.getAncestry(oursSnapshot);
+    const theirsChain = new Set(this.getAncestry(theirsSnapshot));
+    return oursChain.find((hash) => theirsChain.has(hash)) || null;
+  }
+
+  /**
+   * List commit hashes from a copy's current commit back to its first commit
+   */
+  getAncestry(snapshot) {
+    const metadata = snapshot.commitMetadata;
+    if (!metadata || !metadata.commitHash) {
+      return [];
+    }
+
+    const parents = new Map();
+    const table = this.config.historyTable;
+    if (this.hasTable(snapshot.db, table)) {
+      const rows = snapshot.db.exec(
+        `SELECT commit_hash, parent_hash FROM ${MemoryFileDiff.quoteIdentifier(
+          table
+        )}`
+      );
+      for (const [hash, parent] of rows.length ? rows[0].values : []) {
+        parents.set(hash, parent);
+      }
+    }
+    if (!parents.has(metadata.commitHash)) {
+      parents.set(metadata.commitHash, metadata.parentHash || null);
+    }
+
+    const chain = [];
+    let hash = metadata.commitHash;
+    while (hash && !chain.includes(hash)) {
+      chain.push(hash);
+      hash = parents.get(hash) || null;
+    }
+    return chain;
+  }
+
+  /**
+   * Open the base copy, picking the candidate whose commit matches the ancestor
+   */
+  async openBase(base, ancestorHash, password, opened) {
+    if (!base) {
+      throw new Error(
+        ancestorHash
+          ? `Merge base required: pass the copy saved at commit ${ancestorHash}`
+          : "Merge base required: pass the parent copy both versions were edited from"
+      );
+    }
+
+    const candidates = Array.isArray(base) ? base : [base];
+    for (const candidate of candidates) {
+      const snapshot = await this.differ.open(candidate, password);
+      const hash = snapshot.commitMetadata?.commitHash;
+
+      if (
+        !ancestorHash ||
+        hash === ancestorHash ||
+        (!hash && !Array.isArray(base))
+      ) {
+        opened.push(snapshot);
+        return snapshot;
+      }
+      if (snapshot.owned) snapshot.db.close();
+    }
+
+    throw new Error(
+      `Merge base not found: none of the given copies is commit ${ancestorHash}`
+    );
+  }
+
+  /**
+   * Apply their schema changes that do not clash with ours
+   */
+  mergeSchema(db, baseToOurs, baseToTheirs, result) {
+    const ignored = this.differ.config.ignoreTables;
+    const oursByName = new Map();
+    for (const entry of [
+      ...baseToOurs.schema.added,
+      ...baseToOurs.schema.changed,
+    ]) {
+      oursByName.set(entry.name, entry);
+    }
+    const oursRemoved = new Set(baseToOurs.schema.removed.map((e) => e.name));
+
+    // Tables first so indexes and triggers have something to attach to
+    const order = { table: 0, view: 1, index: 2, trigger: 3 };
+    const added = [...baseToTheirs.schema.added]
+      .filter((entry) => !ignored.includes(entry.tableName))
+      .sort((a, b) => order[a.type] - order[b.type]);
+
+    for (const entry of added) {
+      const mine = oursByName.get(entry.name);
+      if (!mine) {
+        if (entry.sql) db.exec(entry.sql);
+        result.applied.schema++;
+      } else if (mine.sql !== entry.sql) {
+        this.resolveSchemaConflict(
+          entry.tableName,
+          mine.after ?? mine.sql,
+          entry.sql,
+          null,
+          result
+        );
+      }
+    }
+
+    for (const entry of baseToTheirs.schema.changed) {
+      if (ignored.includes(entry.name)) continue;
+      const mine = oursByName.get(entry.name);
+      if (mine && mine.after === entry.after) continue;
+      this.resolveSchemaConflict(
+        entry.name,
+        mine ? mine.after : oursRemoved.has(entry.name) ? null : entry.before,
+        entry.after,
+        entry.before,
+        result
+      );
+    }
+
+    for (const entry of baseToTheirs.schema.removed) {
+      if (ignored.includes(entry.tableName) || oursRemoved.has(entry.name)) {
+        continue;
+      }
+      const oursTouched =
+        oursByName.has(entry.name) ||
+        (entry.type === "table" && baseToOurs.tables[entry.name]);
+      if (oursTouched) {
+        const mine = oursByName.get(entry.name);
+        this.resolveSchemaConflict(
+          entry.tableName,
+          mine ? mine.after ?? mine.sql : entry.sql,
+          null,
+          entry.sql,
+          result
+        );
+        continue;
+      }
+      db.exec(
+        `DROP ${entry.type.toUpperCase()} IF EXISTS ${MemoryFileDiff.quoteIdentifier(
+          entry.name
+        )}`
+      );
+      result.applied.schema++;
+    }
+  }
+
+  /**
+   * Schema changes are reported but never merged automatically, ours is kept
+   * Table definitions change through migrations, so onConflict is not asked
+   */
+  resolveSchemaConflict(table, oursSql, theirsSql, baseSql, result) {
+    const conflict = {
+      kind: "schema",
+      table,
+      key: null,
+      column: null,
+      base: baseSql,
+      ours: oursSql,
+      theirs: theirsSql,
+    };
+
+    result.conflicts.push(conflict);
+    result.unresolved.push(conflict);
+  }
+
+  /**
+   * Three-way merge the rows of one table
+   */
+  async mergeTable(
+    db,
+    theirsDb,
+    table,
+    oursDiff,
+    theirsDiff,
+    result,
+    onConflict
+  ) {
+    const keyColumns = theirsDiff.keyColumns;
+    const ourRows = this.indexDiff(oursDiff, keyColumns);
+
+    // Rowids are not stable between copies, so tables without a primary
+    // key are only merged when one side left them alone
+    if (keyColumns[0] === "rowid") {
+      if (oursDiff) {
+        const conflict = {
+          kind: "table",
+          table,
+          key: null,
+          column: null,
+          base: null,
+          ours: null,
+          theirs: null,
+        };
+        if (!(await this.resolve(conflict, result, onConflict))) {
+          return;
+        }
+      }
+      this.copyTable(db, theirsDb, table, result);
+      result.applied.added += theirsDiff.added.length;
+      result.applied.removed += theirsDiff.removed.length;
+      result.applied.changed += theirsDiff.changed.length;
+      return;
+    }
+
+    for (const row of theirsDiff.added) {
+      const key = this.pickKey(row, keyColumns);
+      const mine = ourRows.get(MemoryFileDiff.serializeKey(key));
+      if (!mine) {
+        if (this.insertRow(db, table, row)) {
+          result.applied.added++;
+        } else {
+          this.reportUniqueConflict(table, key, row, result);
+        }
+      } else {
+        // Only an insert on our side can share a key that was not in the base
+        await this.mergeColumns(
+          db,
+          table,
+          keyColumns,
+          key,
+          {},
+          mine.after,
+          row,
+          Object.keys(row),
+          result,
+          onConflict
+        );
+      }
+    }
+
+    for (const row of theirsDiff.removed) {
+      const key = this.pickKey(row, keyColumns);
+      const mine = ourRows.get(MemoryFileDiff.serializeKey(key));
+      if (!mine) {
+        this.deleteRow(db, table, keyColumns, key);
+        result.applied.removed++;
+      } else if (mine.type === "changed") {
+        await this.handleConflict(
+          db,
+          table,
+          keyColumns,
+          {
+            kind: "delete",
+            key,
+            column: null,
+            base: row,
+            ours: mine.after,
+            theirs: null,
+          },
+          null,
+          result,
+          onConflict
+        );
+      }
+    }
+
+    for (const change of theirsDiff.changed) {
+      const mine = ourRows.get(MemoryFileDiff.serializeKey(change.key));
+      if (!mine) {
+        this.updateRow(
+          db,
+          table,
+          keyColumns,
+          change.key,
+          change.after,
+          change.columns
+        );
+        result.applied.changed++;
+      } else if (mine.type === "removed") {
+        await this.handleConflict(
+          db,
+          table,
+          keyColumns,
+          {
+            kind: "delete",
+            key: change.key,
+            column: null,
+            base: change.before,
+            ours: null,
+            theirs: change.after,
+          },
+          change.after,
+          result,
+          onConflict
+        );
+      } else {
+        await this.mergeColumns(
+          db,
+          table,
+          keyColumns,
+          change.key,
+          change.before,
+          mine.after,
+          change.after,
+          change.columns,
+          result,
+          onConflict
+        );
+      }
+    }
+  }
+
+  /**
+   * Merge a row both sides changed, column by column
+   */
+  async mergeColumns(
+    db,
+    table,
+    keyColumns,
+    key,
+    baseRow,
+    ourRow,
+    theirRow,
+    columns,
+    result,
+    onConflict
+  ) {
+    const take = [];
+    for (const column of columns) {
+      if (!(column in ourRow)) continue;
+      if (MemoryFileDiff.valuesEqual(ourRow[column], theirRow[column]))
+        continue;
+      if (
+        column in baseRow &&
+        MemoryFileDiff.valuesEqual(ourRow[column], baseRow[column])
+      ) {
+        take.push(column);
+        continue;
+      }
+
+      const conflict = {
+        kind: "column",
+        table,
+        key,
+        column,
+        base: column in baseRow ? baseRow[column] : null,
+        ours: ourRow[column],
+        theirs: theirRow[column],
+      };
+      if (await this.resolve(conflict, result, onConflict)) {
+        take.push(column);
+      }
+    }
+
+    if (take.length > 0) {
+      this.updateRow(db, table, keyColumns, key, theirRow, take);
+      result.applied.changed++;
+    }
+  }
+
+  /**
+   * Report a whole-row conflict and apply theirs if the callback picks it
+   */
+  async handleConflict(
+    db,
+    table,
+    keyColumns,
+    details,
+    theirRow,
+    result,
+    onConflict
+  ) {
+    const conflict = { ...details, table };
+    if (!(await this.resolve(conflict, result, onConflict))) {
+      return;
+    }
+
+    this.deleteRow(db, table, keyColumns, conflict.key);
+    if (theirRow && !this.insertRow(db, table, theirRow)) {
+      this.reportUniqueConflict(table, conflict.key, theirRow, result);
+    }
+  }
+
+  /**
+   * Their row clashes with a different row of ours on a UNIQUE constraint
+   * Ours is kept and the row is recorded for the app to resolve
+   */
+  reportUniqueConflict(table, key, row, result) {
+    const conflict = {
+      kind: "unique",
+      table,
+      key,
+      column: null,
+      base: null,
+      ours: null,
+      theirs: row,
+    };
+    result.conflicts.push(conflict);
+    result.unresolved.push(conflict);
+  }
+
+  /**
+   * Ask the callback about a conflict
+   * Returns true when theirs should be applied, unresolved conflicts keep ours
+   */
+  async resolve(conflict, result, onConflict) {
+    result.conflicts.push(conflict);
+    const choice = onConflict ? await onConflict(conflict) : undefined;
+
+    if (choice === "theirs") {
+      return true;
+    }
+    if (choice !== "ours") {
+      result.unresolved.push(conflict);
+    }
+    return false;
+  }
+
+  /**
+   * Add their commits to our commit_history so both lines stay visible
+   */
+  mergeHistory(db, theirsDb) {
+    const table = MemoryFileDiff.quoteIdentifier(this.config.historyTable);
+    if (!this.hasTable(theirsDb, this.config.historyTable)) {
+      return 0;
+    }
+    if (!this.hasTable(db, this.config.historyTable)) {
+      const schema = theirsDb.exec(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+        [this.config.historyTable]
+      );
+      db.exec(schema[0].values[0][0]);
+    }
+
+    const columns = this.differ.getColumns(db, this.config.historyTable);
+    const theirColumns = this.differ.getColumns(
+      theirsDb,
+      this.config.historyTable
+    );
+    const shared = columns.filter((column) => theirColumns.includes(column));
+    const quoted = shared.map(MemoryFileDiff.quoteIdentifier).join(", ");
+
+    let added = 0;
+    const stmt = theirsDb.prepare(`SELECT ${quoted} FROM ${table}`);
+    try {
+      while (stmt.step()) {
+        db.run(
+          `INSERT OR IGNORE INTO ${table} (${quoted}) VALUES (${shared
+            .map(() => "?")
+            .join(", ")})`,
+          stmt.get()
+        );
+        added += db.getRowsModified();
+      }
+    } finally {
+      stmt.free();
+    }
+    return added;
+  }
+
+  /**
+   * Store unresolved conflicts in the conflict table for the app to show
+   */
+  recordConflicts(db, conflicts, theirsMetadata) {
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    const table = MemoryFileDiff.quoteIdentifier(this.config.conflictTable);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_key TEXT,
+        column_name TEXT,
+        base_value TEXT,
+        ours_value TEXT,
+        theirs_value TEXT,
+        theirs_commit TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    const createdAt = new Date().toISOString();
+    for (const conflict of conflicts) {
+      db.run(
+        `INSERT INTO ${table} (kind, table_name, row_key, column_name,
+          base_value, ours_value, theirs_value, theirs_commit, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          conflict.kind,
+          conflict.table,
+          MemoryFileMerge.toJSON(conflict.key),
+          conflict.column,
+          MemoryFileMerge.toJSON(conflict.base),
+          MemoryFileMerge.toJSON(conflict.ours),
+          MemoryFileMerge.toJSON(conflict.theirs),
+          theirsMetadata?.commitHash || null,
+          createdAt,
+        ]
+      );
+    }
+  }
+
+  /**
+   * Index one side's changes by serialized key
+   */
+  indexDiff(tableDiff, keyColumns) {
+    const rows = new Map();
+    if (!tableDiff) {
+      return rows;
+    }
+
+    for (const row of tableDiff.added) {
+      rows.set(MemoryFileDiff.serializeKey(this.pickKey(row, keyColumns)), {
+        type: "added",
+        after: row,
+      });
+    }
+    for (const row of tableDiff.removed) {
+      rows.set(MemoryFileDiff.serializeKey(this.pickKey(row, keyColumns)), {
+        type: "removed",
+        after: null,
+      });
+    }
+    for (const change of tableDiff.changed) {
+      rows.set(MemoryFileDiff.serializeKey(change.key), {
+        type: "changed",
+        after: change.after,
+      });
+    }
+    return rows;
+  }
+
+  hasTable(db, table) {
+    return (
+      db.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [
+        table,
+      ]).length > 0
+    );
+  }
+
+  /**
+   * Replace a table's rows with their copy
+   */
+  copyTable(db, theirsDb, table, result) {
+    db.run(`DELETE FROM ${MemoryFileDiff.quoteIdentifier(table)}`);
+    const stmt = theirsDb.prepare(
+      `SELECT * FROM ${MemoryFileDiff.quoteIdentifier(table)}`
+    );
+    try {
+      while (stmt.step()) {
+        const row = stmt.getAsObject();
+        if (!this.insertRow(db, table, row)) {
+          this.reportUniqueConflict(table, null, row, result);
+        }
+      }
+    } finally {
+      stmt.free();
+    }
+  }
+
+  pickKey(row, keyColumns) {
+    const key = {};
+    for (const column of keyColumns) {
+      key[column] = row[column];
+    }
+    return key;
+  }
+
+  /**
+   * Insert their row without replacing any of ours
+   * Returns false when it clashes with an existing row on a UNIQUE constraint
+   */
+  insertRow(db, table, row) {
+    const columns = this.differ
+      .getColumns(db, table)
+      .filter((column) => column in row);
+    try {
+      db.run(
+        `INSERT INTO ${MemoryFileDiff.quoteIdentifier(table)} (${columns
+          .map(MemoryFileDiff.quoteIdentifier)
+          .join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+        columns.map((column) => row[column])
+      );
+    } catch (error) {
+      if (/UNIQUE constraint failed/.test(error.message)) {
+        return false;
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  updateRow(db, table, keyColumns, key, row, columns) {
+    const existing = this.differ.getColumns(db, table);
+    const assign = columns.filter((column) => existing.includes(column));
+    if (assign.length === 0) {
+      return;
+    }
+
+    db.run(
+      `UPDATE ${MemoryFileDiff.quoteIdentifier(table)} SET ${assign
+        .map((column) => `${MemoryFileDiff.quoteIdentifier(column)} = ?`)
+        .join(", ")} WHERE ${this.whereKey(keyColumns)}`,
+      [...assign.map((column) => row[column]), ...keyColumns.map((c) => key[c])]
+    );
+  }
+
+  deleteRow(db, table, keyColumns, key) {
+    db.run(
+      `DELETE FROM ${MemoryFileDiff.quoteIdentifier(
+        table
+      )} WHERE ${this.whereKey(keyColumns)}`,
+      keyColumns.map((column) => key[column])
+    );
+  }
+
+  whereKey(keyColumns) {
+    return keyColumns
+      .map((column) =>
+        column === "rowid"
+          ? "_rowid_ = ?"
+          : `${MemoryFileDiff.quoteIdentifier(column)} = ?`
+      )
+      .join(" AND ");
+  }
+
+  /**
+   * Encode a value for the conflict table, BLOBs become {"$blob": base64}
+   */
+  static toJSON(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return JSON.stringify(value, (key, item) => {
+      if (item instanceof Uint8Array) {
+        let binary = "";
+        for (let i = 0; i < item.length; i++) {
+          binary += String.fromCharCode(item[i]);
+        }
+        return { $blob: btoa(binary) };
+      }
+      return item;
+    });
+  }
+}
+
+// Export for both module and global usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MemoryFileMerge;
+}
+if (typeof window !== "undefined") {
+  window.MemoryFileMerge = MemoryFileMerge;
+}
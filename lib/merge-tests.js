@@ -0,0 +1,450 @@
+/**
+ * Merge Tests
+ * Tests for three-way merges of diverged MemoryFile copies
+ */
+
+async function registerMergeTests(runner) {
+  const { Assert } = window;
+
+  const SCHEMA =
+    "CREATE TABLE notes (id INTEGER PRIMARY KEY, title TEXT, body TEXT)";
+
+  // Build a saved copy as HTML with the given commit metadata
+  async function createCopy(statements, metadata) {
+    const fusion = new HTMLSQLiteFusion({ encrypted: false });
+    await fusion.createDatabase(SCHEMA);
+    for (const sql of statements) {
+      fusion.run(sql);
+    }
+    const html = `<html><body><script id="commit-metadata" type="application/json">${JSON.stringify(
+      metadata
+    )}</script><script id="embedded-db" type="application/x-sqlite3">${fusion.uint8ArrayToBase64(
+      fusion.exportDatabase()
+    )}</script></body></html>`;
+    fusion.close();
+    return html;
+  }
+
+  // Open our copy as a MemoryFile that continues from the base commit
+  async function openOurs(statements, commitHash = "0000a1") {
+    const fusion = new HTMLSQLiteFusion({ encrypted: false });
+    await fusion.createDatabase(SCHEMA);
+    for (const sql of statements) {
+      fusion.run(sql);
+    }
+    fusion.commitMetadata = { commitHash, parentHash: "base01" };
+    return fusion;
+  }
+
+  function historyEntry(commitHash, commitDate) {
+    return {
+      commitHash,
+      parentHash: "base01",
+      commitMessage: `Commit ${commitHash}`,
+      commitType: null,
+      commitAuthor: null,
+      commitDate,
+      appVersion: null,
+    };
+  }
+
+  const BASE_ROWS = [
+    "INSERT INTO notes VALUES (1, 'One', 'a')",
+    "INSERT INTO notes VALUES (2, 'Two', 'b')",
+    "INSERT INTO notes VALUES (3, 'Three', 'c')",
+  ];
+
+  runner.describe("Merge", () => {
+    runner.test("should merge changes to different rows", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs([
+        ...BASE_ROWS,
+        "UPDATE notes SET title = 'Uno' WHERE id = 1",
+      ]);
+      const theirs = await createCopy(
+        [
+          ...BASE_ROWS,
+          "UPDATE notes SET body = 'bb' WHERE id = 2",
+          "DELETE FROM notes WHERE id = 3",
+          "INSERT INTO notes VALUES (4, 'Four', 'd')",
+        ],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base,
+      });
+      const rows = ours.exec("SELECT id, title, body FROM notes ORDER BY id");
+
+      Assert.assertEqual(result.conflicts.length, 0);
+      Assert.assertEqual(result.base.commitHash, "base01");
+      Assert.assertArrayEqual(
+        rows.map((row) => `${row.id}:${row.title}:${row.body}`),
+        ["1:Uno:a", "2:Two:bb", "4:Four:d"]
+      );
+    });
+
+    runner.test("should merge different columns of the same row", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs([
+        ...BASE_ROWS,
+        "UPDATE notes SET title = 'Uno' WHERE id = 1",
+      ]);
+      const theirs = await createCopy(
+        [...BASE_ROWS, "UPDATE notes SET body = 'aa' WHERE id = 1"],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base,
+      });
+      const row = ours.exec("SELECT title, body FROM notes WHERE id = 1")[0];
+
+      Assert.assertEqual(result.conflicts.length, 0);
+      Assert.assertEqual(row.title, "Uno");
+      Assert.assertEqual(row.body, "aa");
+    });
+
+    runner.test(
+      "should record conflicting edits in merge_conflicts",
+      async () => {
+        const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+        const ours = await openOurs([
+          ...BASE_ROWS,
+          "UPDATE notes SET title = 'Ours' WHERE id = 1",
+        ]);
+        const theirs = await createCopy(
+          [...BASE_ROWS, "UPDATE notes SET title = 'Theirs' WHERE id = 1"],
+          { commitHash: "0000b1", parentHash: "base01" }
+        );
+
+        const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+          base,
+        });
+        const row = ours.exec("SELECT title FROM notes WHERE id = 1")[0];
+        const recorded = ours.exec("SELECT * FROM merge_conflicts");
+
+        Assert.assertEqual(row.title, "Ours", "Ours is kept");
+        Assert.assertEqual(result.unresolved.length, 1);
+        Assert.assertEqual(recorded.length, 1);
+        Assert.assertEqual(recorded[0].kind, "column");
+        Assert.assertEqual(recorded[0].column_name, "title");
+        Assert.assertEqual(recorded[0].row_key, '{"id":1}');
+        Assert.assertEqual(recorded[0].ours_value, '"Ours"');
+        Assert.assertEqual(recorded[0].theirs_value, '"Theirs"');
+        Assert.assertEqual(recorded[0].theirs_commit, "0000b1");
+      }
+    );
+
+    runner.test("should let onConflict pick their value", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs([
+        ...BASE_ROWS,
+        "UPDATE notes SET title = 'Ours' WHERE id = 1",
+      ]);
+      const theirs = await createCopy(
+        [...BASE_ROWS, "UPDATE notes SET title = 'Theirs' WHERE id = 1"],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const seen = [];
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base,
+        onConflict: (conflict) => {
+          seen.push(conflict);
+          return "theirs";
+        },
+      });
+      const row = ours.exec("SELECT title FROM notes WHERE id = 1")[0];
+      const tables = ours.getTables();
+
+      Assert.assertEqual(seen.length, 1);
+      Assert.assertEqual(seen[0].base, "One");
+      Assert.assertEqual(row.title, "Theirs");
+      Assert.assertEqual(result.unresolved.length, 0);
+      Assert.assertFalse(tables.includes("merge_conflicts"));
+    });
+
+    runner.test("should report a delete against an edit", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs([
+        ...BASE_ROWS,
+        "UPDATE notes SET body = 'edited' WHERE id = 2",
+      ]);
+      const theirs = await createCopy(
+        [...BASE_ROWS, "DELETE FROM notes WHERE id = 2"],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base,
+      });
+
+      Assert.assertEqual(result.conflicts.length, 1);
+      Assert.assertEqual(result.conflicts[0].kind, "delete");
+      Assert.assertEqual(
+        ours.exec("SELECT body FROM notes WHERE id = 2")[0].body,
+        "edited"
+      );
+    });
+
+    runner.test(
+      "should report rows that clash on a UNIQUE column",
+      async () => {
+        const people = [
+          ...BASE_ROWS,
+          "CREATE TABLE people (id INTEGER PRIMARY KEY, email TEXT UNIQUE)",
+          "INSERT INTO people VALUES (1, 'a@example.com')",
+        ];
+        const base = await createCopy(people, { commitHash: "base01" });
+        const ours = await openOurs([
+          ...people,
+          "INSERT INTO people VALUES (2, 'b@example.com')",
+        ]);
+        const theirs = await createCopy(
+          [...people, "INSERT INTO people VALUES (3, 'b@example.com')"],
+          { commitHash: "0000b1", parentHash: "base01" }
+        );
+
+        const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+          base,
+        });
+        const rows = ours.exec("SELECT id FROM people ORDER BY id");
+
+        Assert.assertArrayEqual(
+          rows.map((row) => row.id),
+          [1, 2],
+          "Our row is not replaced"
+        );
+        Assert.assertEqual(result.applied.added, 0);
+        Assert.assertEqual(result.unresolved.length, 1);
+        Assert.assertEqual(result.unresolved[0].kind, "unique");
+        Assert.assertEqual(result.unresolved[0].key.id, 3);
+      }
+    );
+
+    runner.test(
+      "should copy their rows of a table without a primary key",
+      async () => {
+        const log = [
+          ...BASE_ROWS,
+          "CREATE TABLE log (line TEXT)",
+          "INSERT INTO log VALUES ('base')",
+        ];
+        const base = await createCopy(log, { commitHash: "base01" });
+        const ours = await openOurs([
+          ...log,
+          "INSERT INTO log VALUES ('ours')",
+        ]);
+        const theirs = await createCopy(
+          [...log, "INSERT INTO log VALUES ('theirs')"],
+          { commitHash: "0000b1", parentHash: "base01" }
+        );
+
+        const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+          base,
+          onConflict: () => "theirs",
+        });
+        const rows = ours.exec("SELECT line FROM log ORDER BY rowid");
+
+        Assert.assertArrayEqual(
+          rows.map((row) => row.line),
+          ["base", "theirs"]
+        );
+        Assert.assertEqual(result.conflicts.length, 1);
+        Assert.assertEqual(result.conflicts[0].kind, "table");
+        Assert.assertEqual(result.unresolved.length, 0);
+      }
+    );
+
+    runner.test("should create tables added on their side", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs(BASE_ROWS);
+      const theirs = await createCopy(
+        [
+          ...BASE_ROWS,
+          "CREATE TABLE tags (name TEXT PRIMARY KEY)",
+          "INSERT INTO tags VALUES ('work')",
+        ],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      await new MemoryFileMerge(ours).merge(ours, theirs, { base });
+
+      Assert.assertEqual(ours.exec("SELECT name FROM tags")[0].name, "work");
+    });
+
+    runner.test("should keep ours on a schema conflict", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs([
+        ...BASE_ROWS,
+        "ALTER TABLE notes ADD COLUMN pinned INTEGER",
+      ]);
+      const theirs = await createCopy(
+        [...BASE_ROWS, "ALTER TABLE notes ADD COLUMN color TEXT"],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base,
+      });
+      const columns = ours.exec("PRAGMA table_info(notes)").map((c) => c.name);
+
+      Assert.assertEqual(result.unresolved.length, 1);
+      Assert.assertEqual(result.unresolved[0].kind, "schema");
+      Assert.assertTrue(columns.includes("pinned"));
+      Assert.assertFalse(columns.includes("color"));
+    });
+
+    runner.test(
+      "should not ask onConflict about schema conflicts",
+      async () => {
+        const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+        const ours = await openOurs([
+          ...BASE_ROWS,
+          "ALTER TABLE notes ADD COLUMN pinned INTEGER",
+        ]);
+        const theirs = await createCopy(
+          [...BASE_ROWS, "ALTER TABLE notes ADD COLUMN color TEXT"],
+          { commitHash: "0000b1", parentHash: "base01" }
+        );
+
+        const seen = [];
+        const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+          base,
+          onConflict: (conflict) => {
+            seen.push(conflict);
+            return "theirs";
+          },
+        });
+
+        Assert.assertEqual(seen.length, 0);
+        Assert.assertEqual(result.conflicts.length, 1);
+        Assert.assertEqual(result.unresolved.length, 1);
+        Assert.assertEqual(
+          ours.exec("SELECT kind FROM merge_conflicts")[0].kind,
+          "schema"
+        );
+      }
+    );
+
+    runner.test("should pick the base by common parent commit", async () => {
+      const other = await createCopy([], { commitHash: "other1" });
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs(BASE_ROWS);
+      const theirs = await createCopy(
+        [...BASE_ROWS, "INSERT INTO notes VALUES (4, 'Four', 'd')"],
+        { commitHash: "0000b1", parentHash: "base01" }
+      );
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirs, {
+        base: [other, base],
+      });
+
+      Assert.assertEqual(result.base.commitHash, "base01");
+      Assert.assertEqual(result.applied.added, 1);
+
+      await Assert.assertThrowsAsync(
+        () => new MemoryFileMerge(ours).merge(ours, theirs, { base: [other] }),
+        "Merge base not found"
+      );
+    });
+
+    runner.test("should union commit history from both copies", async () => {
+      const base = await createCopy(BASE_ROWS, { commitHash: "base01" });
+      const ours = await openOurs(BASE_ROWS);
+      ours.recordCommit(
+        historyEntry("0000a1", "2026-01-02T00:00:00.000Z"),
+        null
+      );
+
+      const theirsCopy = new HTMLSQLiteFusion({ encrypted: false });
+      await theirsCopy.createDatabase(SCHEMA);
+      BASE_ROWS.forEach((sql) => theirsCopy.run(sql));
+      theirsCopy.recordCommit(
+        historyEntry("0000b1", "2026-01-03T00:00:00.000Z"),
+        null
+      );
+      theirsCopy.commitMetadata = {
+        commitHash: "0000b1",
+        parentHash: "base01",
+      };
+
+      const result = await new MemoryFileMerge(ours).merge(ours, theirsCopy, {
+        base,
+      });
+
+      Assert.assertEqual(result.applied.commits, 1);
+      Assert.assertArrayEqual(
+        ours.getHistory().map((commit) => commit.commitHash),
+        ["0000b1", "0000a1"]
+      );
+    });
+
+    runner.test(
+      "should merge a newer file into the IndexedDB copy on load",
+      async () => {
+        const embedded = document.getElementById("embedded-db");
+        const original = embedded.textContent;
+        const options = {
+          encrypted: false,
+          storageKey: "merge-on-load-test",
+          onConflict: "merge",
+        };
+
+        // Stand-in for opening a file saved at savedAt
+        async function embedCopy(statements, savedAt) {
+          const copy = new HTMLSQLiteFusion({ encrypted: false });
+          await copy.createDatabase(SCHEMA);
+          statements.forEach((sql) => copy.run(sql));
+          embedded.textContent = copy.uint8ArrayToBase64(copy.exportDatabase());
+          embedded.setAttribute("data-saved-at", savedAt);
+          copy.close();
+        }
+
+        try {
+          await embedCopy(BASE_ROWS, "2026-01-01T00:00:00.000Z");
+          const local = new HTMLSQLiteFusion(options);
+          await local.loadEmbeddedDatabase();
+          local.run("UPDATE notes SET body = 'local' WHERE id = 1");
+          await local.persistToStorage();
+          local.close();
+
+          await embedCopy(
+            [...BASE_ROWS, "UPDATE notes SET body = 'file' WHERE id = 2"],
+            "2026-01-02T00:00:00.000Z"
+          );
+          const merged = new HTMLSQLiteFusion({ ...options, autoSave: true });
+          let loaded = null;
+          let saves = 0;
+          merged.on("load", (detail) => (loaded = detail));
+          merged.saveToFile = async () => {
+            saves++;
+            return { success: true };
+          };
+          await merged.loadEmbeddedDatabase();
+
+          Assert.assertEqual(loaded.source, "merged");
+          Assert.assertEqual(saves, 0, "No file save without a user gesture");
+          Assert.assertTrue(merged.isDirty());
+          Assert.assertEqual(loaded.conflict.merge.unresolved, 0);
+          Assert.assertArrayEqual(
+            merged
+              .exec("SELECT body FROM notes ORDER BY id")
+              .map((r) => r.body),
+            ["local", "file", "c"]
+          );
+          await merged.clearStorage();
+        } finally {
+          embedded.textContent = original;
+          embedded.removeAttribute("data-saved-at");
+        }
+      }
+    );
+  });
+}
+
+// Export for use in test runner
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { registerMergeTests };
+}
@@ -49,42 +49,31 @@ class TrustManager {
     }
   }
 
+  /**
+   * Leave another element out of the content hash
+   * Components that add their own UI to the page (CommitHistoryViewer) opt in
+   * here; verification that already ran is repeated with the new selector
+   */
+  excludeSelector(selector) {
+    if (this.config.excludeSelectors.includes(selector)) {
+      return;
+    }
+    this.config.excludeSelectors = [...this.config.excludeSelectors, selector];
+
+    if (this.verificationResult) {
+      this.verify();
+    }
+  }
+
   /**
    * Verify file integrity by comparing content hash to filename
    */
   async verify() {
     try {
-      const filename = this.getFilename();
-      const expectedHash = this.extractHashFromFilename(filename);
-
-      if (!expectedHash) {
-        this.verificationResult = {
-          status: "UNVERIFIED",
-          reason: "No hash found in filename",
-          filename: filename,
-        };
-      } else {
-        const htmlContent = this.getHTMLContent();
-        const actualHash = await this.generateContentHash(htmlContent);
-
-        if (actualHash.startsWith(expectedHash)) {
-          this.verificationResult = {
-            status: "VERIFIED",
-            hash: expectedHash,
-            fullHash: actualHash,
-            filename: filename,
-          };
-        } else {
-          this.verificationResult = {
-            status: "TAMPERED",
-            expected: expectedHash,
-            actual: actualHash.slice(0, expectedHash.length),
-            fullExpected: expectedHash,
-            fullActual: actualHash,
-            filename: filename,
-          };
-        }
-      }
+      this.verificationResult = await this.verifyContent(
+        this.getFilename(),
+        this.getHTMLContent()
+      );
 
       if (this.config.showBadge) {
         this.renderBadge();
@@ -105,6 +94,43 @@ class TrustManager {
     }
   }
 
+  /**
+   * Check HTML content against the hash in its filename
+   * Needs no page, the CLI verify command runs it on files
+   * @returns {Promise<Object>} { status: "VERIFIED"|"TAMPERED"|"UNVERIFIED", ... }
+   */
+  async verifyContent(filename, htmlContent) {
+    const expectedHash = this.extractHashFromFilename(filename);
+
+    if (!expectedHash) {
+      return {
+        status: "UNVERIFIED",
+        reason: "No hash found in filename",
+        filename: filename,
+      };
+    }
+
+    const actualHash = await this.generateContentHash(htmlContent);
+
+    if (actualHash.startsWith(expectedHash)) {
+      return {
+        status: "VERIFIED",
+        hash: expectedHash,
+        fullHash: actualHash,
+        filename: filename,
+      };
+    }
+
+    return {
+      status: "TAMPERED",
+      expected: expectedHash,
+      actual: actualHash.slice(0, expectedHash.length),
+      fullExpected: expectedHash,
+      fullActual: actualHash,
+      filename: filename,
+    };
+  }
+
   /**
    * Generate SHA-256 hash of HTML content (excluding dynamic elements)
    */
@@ -492,9 +518,53 @@ class TrustManager {
    * Generate content-addressed filename for commit
    */
   async generateCommitFilename(basename, htmlContent) {
+    return this.appendContentHash(`${basename}.html`, htmlContent);
+  }
+
+  /**
+   * Add a content hash segment to any filename so it stays verifiable
+   * contract.signed-2026-01-13.html -> contract.signed-2026-01-13.a1b2c3.html
+   */
+  async appendContentHash(filename, htmlContent) {
     const hash = await this.generateContentHash(htmlContent);
     const shortHash = hash.slice(0, this.config.hashLength);
-    return `${basename}.${shortHash}.html`;
+    return `${filename.replace(/\.html?$/i, "")}.${shortHash}.html`;
+  }
+
+  /**
+   * KDF work factors for the encryption panel
+   */
+  static formatKdfParameters(metadata) {
+    const iterations = `${metadata.iterations.toLocaleString()} iterations`;
+    if (metadata.kdf !== "Argon2id") {
+      return iterations;
+    }
+
+    const memory =
+      metadata.memory % 1024 === 0
+        ? `${metadata.memory / 1024} MiB`
+        : `${metadata.memory} KiB`;
+    const lanes = `${metadata.parallelism} ${
+      metadata.parallelism === 1 ? "lane" : "lanes"
+    }`;
+    return `${memory} memory, ${iterations}, ${lanes}`;
+  }
+
+  /**
+   * Recipients of an encrypted file, e.g. "Alice, Bob, 1 unnamed"
+   */
+  static formatRecipients(recipients) {
+    if (recipients.length === 0) {
+      return "none";
+    }
+    const names = recipients
+      .filter((recipient) => recipient.name)
+      .map((recipient) => recipient.name);
+    const unnamed = recipients.length - names.length;
+    if (unnamed > 0) {
+      names.push(`${unnamed} unnamed`);
+    }
+    return names.join(", ");
   }
 
   /**
@@ -526,10 +596,24 @@ class TrustManager {
             metadata
               ? `
             <div style="margin-top: 8px; font-size: 12px; color: #7f8c8d;">
-              <div>Algorithm: ${metadata.algorithm}</div>
-              <div>Key Derivation: ${
+              <div>Algorithm: ${this.escapeHtml(metadata.algorithm)}</div>
+              ${
                 metadata.kdf
-              } (${metadata.iterations.toLocaleString()} iterations)</div>
+                  ? `<div>Key Derivation: ${this.escapeHtml(
+                      `${metadata.kdf} (${TrustManager.formatKdfParameters(
+                        metadata
+                      )})`
+                    )}</div>`
+                  : ""
+              }
+              ${
+                metadata.recipients
+                  ? `<div>Recipients: ${this.escapeHtml(
+                      TrustManager.formatRecipients(metadata.recipients)
+                    )}</div>`
+                  : ""
+              }
+              ${metadata.recovery ? "<div>Recovery code: Set</div>" : ""}
             </div>
           `
               : ""
@@ -152,6 +152,13 @@ async function registerTrustTests(runner) {
       Assert.assertNull(hash);
     });
 
+    runner.test("should not read a default commit filename as verified", () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      const filename = "notes.commit-a1b2c3.html";
+
+      Assert.assertNull(trust.extractHashFromFilename(filename));
+    });
+
     runner.test("should handle uppercase hash characters", () => {
       const trust = new TrustManager({ autoVerify: false, showBadge: false });
       const filename = "file.A1B2C3.html";
@@ -264,6 +271,24 @@ async function registerTrustTests(runner) {
       Assert.assertContains(filename, "my-app_v2");
       Assert.assertContains(filename, ".html");
     });
+
+    runner.test(
+      "should append verifiable hash segment to semantic filenames",
+      async () => {
+        const trust = new TrustManager({ autoVerify: false, showBadge: false });
+        const content = "<html><body>Signed contract</body></html>";
+
+        const filename = await trust.appendContentHash(
+          "contract.signed-2026-01-13.html",
+          content
+        );
+        const hash = trust.extractHashFromFilename(filename);
+        const fullHash = await trust.generateContentHash(content);
+
+        Assert.assertTrue(filename.startsWith("contract.signed-2026-01-13."));
+        Assert.assertTrue(fullHash.startsWith(hash));
+      }
+    );
   });
 
   // ==========================================
@@ -297,6 +322,30 @@ async function registerTrustTests(runner) {
       Assert.assertContains(normalized, "Real content");
     });
 
+    runner.test("should hash the history panel unless excluded", () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      const html = `
+        <html>
+          <body>
+            <div id="commit-history">History</div>
+            <div>Real content</div>
+          </body>
+        </html>
+      `;
+
+      Assert.assertContains(trust.normalizeHTML(html), "commit-history");
+
+      trust.excludeSelector("#commit-history");
+      trust.excludeSelector("#commit-history");
+
+      Assert.assertNotContains(trust.normalizeHTML(html), "commit-history");
+      Assert.assertEqual(
+        trust.config.excludeSelectors.filter((s) => s === "#commit-history")
+          .length,
+        1
+      );
+    });
+
     runner.test("should handle empty HTML", () => {
       const trust = new TrustManager({ autoVerify: false, showBadge: false });
       const normalized = trust.normalizeHTML("");
@@ -378,6 +427,26 @@ async function registerTrustTests(runner) {
       Assert.assertEqual(result.status, "UNVERIFIED");
       Assert.assertContains(result.reason, "error");
     });
+
+    runner.test("should verify content without reading the page", async () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      trust.getFilename = () => {
+        throw new Error("Page should not be read");
+      };
+
+      const content = "<html><body>Packed</body></html>";
+      const filename = await trust.generateCommitFilename("packed", content);
+
+      const verified = await trust.verifyContent(filename, content);
+      const tampered = await trust.verifyContent(
+        filename,
+        content.replace("Packed", "Changed")
+      );
+
+      Assert.assertEqual(verified.status, "VERIFIED");
+      Assert.assertEqual(tampered.status, "TAMPERED");
+      Assert.assertNull(trust.verificationResult);
+    });
   });
 
   // ==========================================
@@ -385,6 +454,62 @@ async function registerTrustTests(runner) {
   // ==========================================
 
   runner.describe("Badge Content Generation", () => {
+    runner.test("should show Argon2id parameters in encryption details", () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      trust.setEncryptionStatus(true, {
+        version: 2,
+        algorithm: "AES-GCM-256",
+        kdf: "Argon2id",
+        iterations: 3,
+        memory: 65536,
+        parallelism: 1,
+      });
+
+      const details = trust.getEncryptionDetails();
+
+      Assert.assertContains(details, "Argon2id");
+      Assert.assertContains(details, "64 MiB memory, 3 iterations, 1 lane");
+    });
+
+    runner.test("should escape the KDF named in the file header", () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      trust.setEncryptionStatus(true, {
+        version: 2,
+        algorithm: "AES-GCM-256",
+        kdf: '<img src=x onerror="alert(1)">',
+        iterations: 1000,
+      });
+
+      const details = trust.getEncryptionDetails();
+
+      Assert.assertNotContains(details, "<img");
+      Assert.assertContains(details, "&lt;img src=x");
+    });
+
+    runner.test("should show recipients and recovery code", () => {
+      const trust = new TrustManager({ autoVerify: false, showBadge: false });
+      trust.setEncryptionStatus(true, {
+        version: 2,
+        algorithm: "AES-GCM-256",
+        kdf: null,
+        iterations: null,
+        recipients: [
+          { id: "a1b2c3d4e5f60718", name: "<b>Alice</b>" },
+          { id: "0718a1b2c3d4e5f6", name: null },
+        ],
+        recovery: true,
+      });
+
+      const details = trust.getEncryptionDetails();
+
+      Assert.assertContains(details, "&lt;b&gt;Alice&lt;/b&gt;, 1 unnamed");
+      Assert.assertContains(details, "Recovery code: Set");
+      Assert.assertFalse(
+        details.includes("Key Derivation"),
+        "Recipients alone need no key derivation"
+      );
+    });
+
     runner.test("should generate VERIFIED badge content", () => {
       const trust = new TrustManager({ autoVerify: false, showBadge: false });
       const result = {
@@ -5,6 +5,30 @@
 async function registerUnitTests(runner) {
   const { Assert } = window;
 
+  // Replace the file picker with one that records written files
+  function stubFilePicker(saved, cancel = false) {
+    const original = window.showSaveFilePicker;
+    window.showSaveFilePicker = async (options) => {
+      if (cancel) {
+        throw new DOMException("User cancelled", "AbortError");
+      }
+      return {
+        createWritable: async () => ({
+          write: async (content) =>
+            saved.push({ name: options.suggestedName, content }),
+          close: async () => {},
+        }),
+      };
+    };
+    return () => {
+      if (original) {
+        window.showSaveFilePicker = original;
+      } else {
+        delete window.showSaveFilePicker;
+      }
+    };
+  }
+
   // ==========================================
   // Initialization Tests
   // ==========================================
@@ -250,6 +274,426 @@ async function registerUnitTests(runner) {
     });
   });
 
+  // ==========================================
+  // Commit Tests
+  // ==========================================
+
+  runner.describe("Commits", () => {
+    runner.test("should commit with metadata and hashed filename", async () => {
+      const saved = [];
+      const restore = stubFilePicker(saved);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+          basename: "notes",
+        });
+        await fusion.createDatabase(
+          "CREATE TABLE notes (id INTEGER, title TEXT)"
+        );
+
+        const result = await fusion.commit("Initial notes", {
+          type: "draft",
+          author: "alice@example.com",
+        });
+
+        Assert.assertTrue(result.success);
+        Assert.assertEqual(result.commit.commitHash.length, 6);
+        Assert.assertNull(result.commit.parentHash);
+        Assert.assertEqual(result.commit.commitType, "draft");
+        Assert.assertEqual(result.commit.commitAuthor, "alice@example.com");
+        Assert.assertEqual(
+          result.filename,
+          `notes.commit-${result.commit.commitHash}.html`
+        );
+        Assert.assertEqual(saved[0].name, result.filename);
+        Assert.assertContains(saved[0].content, 'id="commit-metadata"');
+        Assert.assertContains(
+          saved[0].content,
+          '"commitMessage": "Initial notes"'
+        );
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test(
+      "should report the name picked in the save dialog",
+      async () => {
+        const original = window.showSaveFilePicker;
+        window.showSaveFilePicker = async () => ({
+          name: "renamed.html",
+          createWritable: async () => ({
+            write: async () => {},
+            close: async () => {},
+          }),
+        });
+        try {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+          });
+          await fusion.createDatabase();
+
+          const result = await fusion.commit("Renamed");
+          Assert.assertEqual(result.filename, "renamed.html");
+        } finally {
+          if (original) {
+            window.showSaveFilePicker = original;
+          } else {
+            delete window.showSaveFilePicker;
+          }
+        }
+      }
+    );
+
+    runner.test("should chain commits through parentHash", async () => {
+      const saved = [];
+      const restore = stubFilePicker(saved);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+        });
+        await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+
+        const first = await fusion.commit("First");
+        fusion.run("INSERT INTO notes VALUES (1)");
+        const second = await fusion.commit("Second");
+
+        Assert.assertEqual(second.commit.parentHash, first.commit.commitHash);
+        Assert.assertNotEqual(
+          second.commit.commitHash,
+          first.commit.commitHash
+        );
+        Assert.assertEqual(
+          fusion.getCommitMetadata().commitHash,
+          second.commit.commitHash
+        );
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test(
+      "should derive commit hash from database and parent",
+      async () => {
+        const fusion = new HTMLSQLiteFusion();
+        const bytes = new Uint8Array([1, 2, 3]);
+
+        const a = await fusion.generateCommitHash(bytes, "aaaaaa");
+        const b = await fusion.generateCommitHash(bytes, "aaaaaa");
+        const c = await fusion.generateCommitHash(bytes, "bbbbbb");
+
+        Assert.assertEqual(a, b);
+        Assert.assertNotEqual(a, c);
+      }
+    );
+
+    runner.test(
+      "should keep previous metadata when commit is cancelled",
+      async () => {
+        const restore = stubFilePicker([], true);
+        try {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+          });
+          await fusion.createDatabase();
+          const before = fusion.getCommitMetadata();
+
+          const result = await fusion.commit("Never saved");
+
+          Assert.assertTrue(result.cancelled);
+          Assert.assertNull(result.commit);
+          Assert.assertEqual(fusion.getCommitMetadata(), before);
+        } finally {
+          restore();
+        }
+      }
+    );
+
+    runner.test("should record commits in commit_history", async () => {
+      const restore = stubFilePicker([]);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+        });
+        await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+
+        const result = await fusion.commit("First", { author: "bob" });
+        const history = fusion.getHistory();
+
+        Assert.assertContains(fusion.getTables(), "commit_history");
+        Assert.assertEqual(history.length, 1);
+        Assert.assertEqual(history[0].commitHash, result.commit.commitHash);
+        Assert.assertEqual(history[0].commitMessage, "First");
+        Assert.assertEqual(history[0].commitAuthor, "bob");
+        Assert.assertEqual(history[0].dbDigest.length, 64);
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test("should walk commit chain newest first", async () => {
+      const restore = stubFilePicker([]);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+        });
+        await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+
+        const first = await fusion.commit("First");
+        fusion.run("INSERT INTO notes VALUES (1)");
+        const second = await fusion.commit("Second");
+        fusion.run("INSERT INTO notes VALUES (2)");
+        const third = await fusion.commit("Third");
+
+        const chain = fusion.getCommitChain();
+        Assert.assertArrayEqual(
+          chain.map((c) => c.commitHash),
+          [
+            third.commit.commitHash,
+            second.commit.commitHash,
+            first.commit.commitHash,
+          ]
+        );
+
+        const partial = fusion.getCommitChain(second.commit.commitHash);
+        Assert.assertEqual(partial.length, 2);
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test("should not record history for cancelled commit", async () => {
+      const restore = stubFilePicker([], true);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+        });
+        await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+
+        await fusion.commit("Never saved");
+
+        Assert.assertNotContains(fusion.getTables(), "commit_history");
+        Assert.assertEqual(fusion.getHistory().length, 0);
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test(
+      "should not overwrite a commit on a hash collision",
+      async () => {
+        const restore = stubFilePicker([]);
+        try {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+          });
+          await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+          const first = await fusion.commit("First");
+
+          fusion.run("INSERT INTO notes VALUES (1)");
+          fusion.generateCommitHash = async () => first.commit.commitHash;
+          await Assert.assertThrowsAsync(
+            () => fusion.commit("Second"),
+            "Commit hash collision"
+          );
+
+          const history = fusion.getHistory();
+          Assert.assertEqual(history.length, 1);
+          Assert.assertEqual(history[0].commitMessage, "First");
+          Assert.assertEqual(
+            fusion.getCommitMetadata().commitHash,
+            first.commit.commitHash
+          );
+        } finally {
+          restore();
+        }
+      }
+    );
+
+    runner.test("should persist a commit only after it is saved", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        storageKey: "commit-persist-test",
+      });
+      await fusion.createDatabase("CREATE TABLE notes (id INTEGER)");
+      let persisted = 0;
+      fusion.on("persist", () => persisted++);
+
+      let restore = stubFilePicker([], true);
+      try {
+        await fusion.commit("Never saved");
+      } finally {
+        restore();
+      }
+      Assert.assertEqual(persisted, 0, "Cancelled commit stays out of storage");
+
+      restore = stubFilePicker([]);
+      try {
+        const result = await fusion.commit("Saved");
+        Assert.assertEqual(persisted, 1);
+        Assert.assertTrue(result.persistedToStorage);
+      } finally {
+        restore();
+        await fusion.clearStorage();
+      }
+    });
+
+    runner.test("should expand filename pattern tokens", () => {
+      const fusion = new HTMLSQLiteFusion();
+      const metadata = {
+        basename: "contract",
+        commitHash: "a1b2c3",
+        commitType: "signed",
+        commitMessage: "Signed by ACME Corp!",
+        commitDate: "2026-01-13T05:37:00.000Z",
+      };
+
+      Assert.assertEqual(
+        fusion.formatCommitFilename("{basename}.{hash}.html", metadata),
+        "contract.a1b2c3.html"
+      );
+      Assert.assertEqual(
+        fusion.formatCommitFilename("{basename}.{timestamp}.html", metadata),
+        "contract.20260113-053700.html"
+      );
+      Assert.assertEqual(
+        fusion.formatCommitFilename("{basename}.{type}-{date}.html", metadata),
+        "contract.signed-2026-01-13.html"
+      );
+      Assert.assertEqual(
+        fusion.formatCommitFilename("{basename}.{slug}.html", metadata),
+        "contract.signed-by-acme-corp.html"
+      );
+      Assert.assertThrows(() => {
+        fusion.formatCommitFilename("{basename}.{nope}.html", metadata);
+      }, "Unknown filename token");
+    });
+
+    runner.test("should use commit type patterns", async () => {
+      const saved = [];
+      const restore = stubFilePicker(saved);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+          basename: "contract",
+          commitTypes: {
+            signed: "{basename}.signed-{date}.html",
+            backup: (tokens) => `${tokens.basename}.backup-${tokens.hash}.html`,
+          },
+        });
+        await fusion.createDatabase("CREATE TABLE parties (name TEXT)");
+
+        const signed = await fusion.commit("Signed", { type: "signed" });
+        const date = signed.commit.commitDate.slice(0, 10);
+        Assert.assertEqual(signed.filename, `contract.signed-${date}.html`);
+        Assert.assertEqual(saved[0].name, signed.filename);
+
+        const backup = await fusion.commit("Backup", { type: "backup" });
+        Assert.assertEqual(
+          backup.filename,
+          `contract.backup-${backup.commit.commitHash}.html`
+        );
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test(
+      "should add content hash segment with trustManager",
+      async () => {
+        const saved = [];
+        const restore = stubFilePicker(saved);
+        try {
+          // Minimal stand-in for TrustManager.appendContentHash
+          const trustManager = {
+            appendContentHash: async (filename, htmlContent) => {
+              Assert.assertContains(htmlContent, 'id="commit-metadata"');
+              return filename.replace(/\.html$/, ".abcdef.html");
+            },
+          };
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+            basename: "contract",
+            trustManager,
+            commitTypes: { signed: "{basename}.signed-{date}.html" },
+          });
+          await fusion.createDatabase();
+
+          const plain = await fusion.commit("Draft");
+          Assert.assertEqual(plain.filename, "contract.abcdef.html");
+
+          const signed = await fusion.commit("Signed", { type: "signed" });
+          const date = signed.commit.commitDate.slice(0, 10);
+          Assert.assertEqual(
+            signed.filename,
+            `contract.signed-${date}.abcdef.html`
+          );
+          Assert.assertEqual(saved[1].name, signed.filename);
+        } finally {
+          restore();
+        }
+      }
+    );
+
+    runner.test("should reject empty commit message", async () => {
+      const fusion = new HTMLSQLiteFusion({ encrypted: false });
+      await fusion.createDatabase();
+
+      await Assert.assertThrowsAsync(async () => {
+        await fusion.commit("   ");
+      }, "Commit message must be a non-empty string");
+    });
+
+    runner.test(
+      "should restore an earlier version and keep history",
+      async () => {
+        const saved = [];
+        const restore = stubFilePicker(saved);
+        try {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+          });
+          await fusion.createDatabase("CREATE TABLE notes (title TEXT)");
+          fusion.run("INSERT INTO notes VALUES ('first')");
+          const first = await fusion.commit("First");
+          fusion.run("INSERT INTO notes VALUES ('second')");
+          await fusion.commit("Second");
+
+          await Assert.assertThrowsAsync(
+            () =>
+              fusion.restoreVersion(saved[0].content, { commitHash: "ffffff" }),
+            "Wrong version"
+          );
+
+          const restored = await fusion.restoreVersion(saved[0].content, {
+            commitHash: first.commit.commitHash,
+          });
+
+          Assert.assertEqual(restored.commitHash, first.commit.commitHash);
+          Assert.assertEqual(fusion.exec("SELECT * FROM notes").length, 1);
+          Assert.assertEqual(fusion.getHistory().length, 2);
+          Assert.assertEqual(
+            fusion.getCommitMetadata().commitMessage,
+            "Second"
+          );
+        } finally {
+          restore();
+        }
+      }
+    );
+  });
+
   // ==========================================
   // Base64 Encoding Tests
   // ==========================================
@@ -435,6 +879,1640 @@ async function registerUnitTests(runner) {
 
       fusion.run("ROLLBACK");
     });
+
+    runner.test("should commit with transaction()", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase("CREATE TABLE users (id INTEGER, name TEXT)");
+
+      const result = await fusion.transaction(async (tx) => {
+        tx.run("INSERT INTO users VALUES (1, 'Alice')");
+        tx.run("INSERT INTO users VALUES (2, 'Bob')");
+        return "done";
+      });
+
+      Assert.assertEqual(result, "done");
+      Assert.assertEqual(fusion.exec("SELECT * FROM users").length, 2);
+      Assert.assertEqual(fusion.transactionDepth, 0);
+    });
+
+    runner.test(
+      "should roll back transaction() when callback throws",
+      async () => {
+        const fusion = new HTMLSQLiteFusion();
+        await fusion.createDatabase(
+          "CREATE TABLE users (id INTEGER, name TEXT)"
+        );
+
+        await Assert.assertThrowsAsync(
+          () =>
+            fusion.transaction(async (tx) => {
+              tx.run("INSERT INTO users VALUES (1, 'Alice')");
+              throw new Error("Import aborted");
+            }),
+          "Import aborted"
+        );
+
+        Assert.assertEqual(fusion.exec("SELECT * FROM users").length, 0);
+        Assert.assertEqual(fusion.transactionDepth, 0);
+      }
+    );
+
+    runner.test("should roll back only the nested transaction", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase("CREATE TABLE users (id INTEGER, name TEXT)");
+
+      await fusion.transaction(async (tx) => {
+        tx.run("INSERT INTO users VALUES (1, 'Alice')");
+        try {
+          await tx.transaction(async () => {
+            tx.run("INSERT INTO users VALUES (2, 'Bob')");
+            throw new Error("Skip Bob");
+          });
+        } catch (error) {
+          // Outer transaction continues
+        }
+        tx.run("INSERT INTO users VALUES (3, 'Carol')");
+      });
+
+      const names = fusion
+        .exec("SELECT name FROM users ORDER BY id")
+        .map((row) => row.name);
+      Assert.assertArrayEqual(names, ["Alice", "Carol"]);
+    });
+
+    runner.test("should auto-save once per transaction", async () => {
+      const fusion = new HTMLSQLiteFusion({ autoSave: true });
+      await fusion.createDatabase();
+      fusion.db.run("CREATE TABLE items (id INTEGER)");
+
+      let saves = 0;
+      fusion.saveToFile = async () => {
+        saves++;
+        return { success: true };
+      };
+
+      await fusion.transaction(async (tx) => {
+        for (let i = 0; i < 100; i++) {
+          tx.run("INSERT INTO items VALUES (?)", [i]);
+        }
+      });
+      Assert.assertEqual(saves, 1);
+
+      await Assert.assertThrowsAsync(() =>
+        fusion.transaction(async (tx) => {
+          tx.run("INSERT INTO items VALUES (100)");
+          throw new Error("Rolled back");
+        })
+      );
+      Assert.assertEqual(saves, 1, "Rolled back changes are not saved");
+    });
+
+    runner.test("should refuse to export during a transaction", async () => {
+      const fusion = new HTMLSQLiteFusion();
+      await fusion.createDatabase();
+
+      await fusion.transaction(async (tx) => {
+        Assert.assertThrows(
+          () => tx.exportDatabase(),
+          "Cannot export the database during a transaction"
+        );
+      });
+
+      Assert.assertTrue(fusion.exportDatabase() instanceof Uint8Array);
+    });
+  });
+
+  // ==========================================
+  // Autosave Tests
+  // ==========================================
+
+  runner.describe("Autosave", () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    runner.test("should mark dirty on writes and emit once", async () => {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+      let dirtyEvents = 0;
+      fusion.on("dirty", () => dirtyEvents++);
+
+      Assert.assertFalse(fusion.isDirty());
+      fusion.run("INSERT INTO items VALUES (1)");
+      fusion.run("INSERT INTO items VALUES (2)");
+
+      Assert.assertTrue(fusion.isDirty());
+      Assert.assertEqual(dirtyEvents, 1);
+    });
+
+    runner.test("should debounce saves to IndexedDB", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        autoSave: "storage",
+        autoSaveDelay: 20,
+        storageKey: "autosave-debounce-test",
+      });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+      const saved = [];
+      fusion.on("saved", (detail) => saved.push(detail));
+
+      try {
+        for (let i = 0; i < 5; i++) {
+          fusion.run("INSERT INTO items VALUES (?)", [i]);
+        }
+        Assert.assertEqual(saved.length, 0, "Nothing saved before the delay");
+
+        await wait(100);
+
+        Assert.assertEqual(saved.length, 1);
+        Assert.assertEqual(saved[0].target, "storage");
+        Assert.assertTrue(fusion.isDirty(), "Still not exported to a file");
+
+        const stored = await fusion.loadFromStorage();
+        const restored = new fusion.sqlJS.Database(stored.data);
+        const count = restored.exec("SELECT COUNT(*) FROM items")[0]
+          .values[0][0];
+        restored.close();
+        Assert.assertEqual(count, 5);
+      } finally {
+        await fusion.clearStorage();
+        fusion.close();
+      }
+    });
+
+    runner.test("should persist immediately on flushAutoSave()", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        autoSave: "storage",
+        autoSaveDelay: 60000,
+        storageKey: "autosave-flush-test",
+      });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+      try {
+        fusion.run("INSERT INTO items VALUES (1)");
+
+        Assert.assertTrue(await fusion.flushAutoSave());
+        Assert.assertFalse(await fusion.flushAutoSave(), "Nothing pending");
+        Assert.assertNotNull(await fusion.hasStoredData());
+      } finally {
+        await fusion.clearStorage();
+        fusion.close();
+      }
+    });
+
+    runner.test("should clear dirty after saving to a file", async () => {
+      const written = [];
+      const restore = stubFilePicker(written);
+      try {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+        });
+        await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+        fusion.run("INSERT INTO items VALUES (1)");
+
+        const saved = [];
+        fusion.on("saved", (detail) => saved.push(detail));
+        await fusion.saveToFile("items.html");
+
+        Assert.assertFalse(fusion.isDirty());
+        Assert.assertEqual(saved[0].target, "file");
+      } finally {
+        restore();
+      }
+    });
+
+    runner.test(
+      "should mark dirty only after a transaction commits",
+      async () => {
+        const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+        await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+        await Assert.assertThrowsAsync(() =>
+          fusion.transaction(async (tx) => {
+            tx.run("INSERT INTO items VALUES (1)");
+            throw new Error("Rolled back");
+          })
+        );
+        Assert.assertFalse(fusion.isDirty());
+
+        await fusion.transaction(async (tx) => {
+          tx.run("INSERT INTO items VALUES (1)");
+          Assert.assertFalse(fusion.isDirty(), "Not dirty before commit");
+        });
+        Assert.assertTrue(fusion.isDirty());
+      }
+    );
+
+    runner.test("should warn before unload with unsaved changes", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        persistToStorage: false,
+        warnOnUnload: true,
+      });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+      fusion.run("INSERT INTO items VALUES (1)");
+
+      const dirtyUnload = new Event("beforeunload", { cancelable: true });
+      window.dispatchEvent(dirtyUnload);
+      Assert.assertTrue(dirtyUnload.defaultPrevented);
+
+      fusion.close();
+      const closedUnload = new Event("beforeunload", { cancelable: true });
+      window.dispatchEvent(closedUnload);
+      Assert.assertFalse(closedUnload.defaultPrevented);
+    });
+
+    runner.test("should stop calling handlers after unsubscribe", async () => {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+      let calls = 0;
+      const unsubscribe = fusion.on("dirty", () => calls++);
+      unsubscribe();
+      fusion.run("INSERT INTO items VALUES (1)");
+
+      Assert.assertEqual(calls, 0);
+    });
+  });
+
+  // ==========================================
+  // Event Tests
+  // ==========================================
+
+  runner.describe("Events", () => {
+    // Record every event name and detail in order
+    function recordEvents(fusion, names) {
+      const events = [];
+      for (const name of names) {
+        fusion.on(name, (detail) => events.push({ name, detail }));
+      }
+      return events;
+    }
+
+    runner.test("should report load source", async () => {
+      const source = new HTMLSQLiteFusion({ encrypted: false });
+      await source.createDatabase("CREATE TABLE items (id INTEGER)");
+      const embedded = document.getElementById("embedded-db");
+      const original = embedded.textContent;
+      embedded.textContent = source.uint8ArrayToBase64(source.exportDatabase());
+
+      try {
+        const fromEmbedded = new HTMLSQLiteFusion({
+          encrypted: false,
+          storageKey: "events-load-test",
+        });
+        const events = recordEvents(fromEmbedded, ["load"]);
+        await fromEmbedded.loadEmbeddedDatabase();
+        Assert.assertEqual(events[0].detail.source, "embedded");
+        Assert.assertFalse(events[0].detail.encrypted);
+        Assert.assertArrayEqual(events[0].detail.migrated, []);
+
+        await fromEmbedded.persistToStorage();
+
+        const fromStorage = new HTMLSQLiteFusion({
+          encrypted: false,
+          storageKey: "events-load-test",
+        });
+        const storageEvents = recordEvents(fromStorage, ["load"]);
+        await fromStorage.loadEmbeddedDatabase();
+        Assert.assertEqual(storageEvents[0].detail.source, "storage");
+
+        await fromStorage.clearStorage();
+      } finally {
+        embedded.textContent = original;
+      }
+    });
+
+    runner.test("should emit change for each write", async () => {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+      const events = recordEvents(fusion, ["change", "dirty"]);
+
+      fusion.run("INSERT INTO items VALUES (1)");
+      fusion.run("INSERT INTO items VALUES (2)");
+      await fusion.transaction(async (tx) => {
+        tx.run("INSERT INTO items VALUES (3)");
+        tx.run("INSERT INTO items VALUES (4)");
+      });
+
+      Assert.assertArrayEqual(
+        events.map((event) => event.name),
+        ["change", "dirty", "change", "change"]
+      );
+    });
+
+    runner.test("should emit persist and persist-error", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        storageKey: "events-persist-test",
+      });
+      await fusion.createDatabase();
+      const events = recordEvents(fusion, ["persist", "persist-error"]);
+
+      Assert.assertTrue(await fusion.persistToStorage());
+      Assert.assertEqual(events[0].name, "persist");
+      Assert.assertEqual(events[0].detail.key, fusion.getStorageKey());
+      await fusion.clearStorage();
+
+      fusion.openIndexedDB = async () => {
+        throw new Error("Quota exceeded");
+      };
+      Assert.assertFalse(await fusion.persistToStorage());
+      Assert.assertEqual(events[1].name, "persist-error");
+      Assert.assertEqual(events[1].detail.error.message, "Quota exceeded");
+    });
+
+    runner.test("should emit save and save-cancelled", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        persistToStorage: false,
+      });
+      await fusion.createDatabase();
+      const events = recordEvents(fusion, ["save", "save-cancelled"]);
+
+      let restore = stubFilePicker([]);
+      try {
+        await fusion.saveToFile("items.html");
+      } finally {
+        restore();
+      }
+      restore = stubFilePicker([], true);
+      try {
+        await fusion.saveAs("items.html");
+      } finally {
+        restore();
+      }
+
+      Assert.assertEqual(events[0].name, "save");
+      Assert.assertObjectEqual(events[0].detail, {
+        method: "file-system-access",
+        filename: "items.html",
+      });
+      Assert.assertEqual(events[1].name, "save-cancelled");
+    });
+
+    runner.test("should emit password-changed", async () => {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase();
+      const events = recordEvents(fusion, ["password-changed"]);
+
+      fusion.changePassword("new-secret");
+
+      Assert.assertEqual(events.length, 1);
+      Assert.assertObjectEqual(events[0].detail, {});
+    });
+
+    runner.test("should keep calling handlers after one throws", async () => {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+
+      let called = false;
+      fusion.on("change", () => {
+        throw new Error("Broken handler");
+      });
+      fusion.on("change", () => {
+        called = true;
+      });
+      fusion.run("INSERT INTO items VALUES (1)");
+
+      Assert.assertTrue(called);
+    });
+  });
+
+  // ==========================================
+  // File Handle Tests
+  // ==========================================
+
+  runner.describe("File Handles", () => {
+    function createHandle(name, saved, permission = "granted") {
+      return {
+        name,
+        queryPermission: async () => permission,
+        requestPermission: async () =>
+          permission === "prompt" ? "granted" : permission,
+        createWritable: async () => ({
+          write: async (content) => saved.push({ name, content }),
+          close: async () => {},
+        }),
+      };
+    }
+
+    // Picker stub that records which names were asked for
+    async function withPicker(callback) {
+      const original = window.showSaveFilePicker;
+      const picks = [];
+      const saved = [];
+      window.showSaveFilePicker = async (options) => {
+        picks.push(options.suggestedName);
+        return createHandle(options.suggestedName, saved);
+      };
+      try {
+        await callback({ picks, saved });
+      } finally {
+        if (original) {
+          window.showSaveFilePicker = original;
+        } else {
+          delete window.showSaveFilePicker;
+        }
+      }
+    }
+
+    async function createFusion() {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        persistToStorage: false,
+        storageKey: "file-handle-test",
+      });
+      await fusion.createDatabase();
+      return fusion;
+    }
+
+    runner.test("should save in place after the first pick", async () => {
+      await withPicker(async ({ picks, saved }) => {
+        const fusion = await createFusion();
+
+        const first = await fusion.saveToFile("notes.html");
+        const second = await fusion.saveToFile("notes.html");
+
+        Assert.assertArrayEqual(picks, ["notes.html"]);
+        Assert.assertEqual(saved.length, 2);
+        Assert.assertFalse(first.reusedHandle);
+        Assert.assertTrue(second.reusedHandle);
+        Assert.assertEqual(second.filename, "notes.html");
+      });
+    });
+
+    runner.test("should pick a new file with saveAs", async () => {
+      await withPicker(async ({ picks, saved }) => {
+        const fusion = await createFusion();
+
+        await fusion.saveToFile("notes.html");
+        await fusion.saveAs("copy.html");
+        await fusion.saveToFile("notes.html");
+
+        Assert.assertArrayEqual(picks, ["notes.html", "copy.html"]);
+        Assert.assertArrayEqual(
+          saved.map((file) => file.name),
+          ["notes.html", "copy.html", "copy.html"]
+        );
+      });
+    });
+
+    runner.test("should ask for permission on a stored handle", async () => {
+      await withPicker(async ({ picks, saved }) => {
+        const fusion = await createFusion();
+        fusion.loadFileHandle = async () =>
+          createHandle("stored.html", saved, "prompt");
+
+        const result = await fusion.saveToFile("notes.html");
+
+        Assert.assertEqual(picks.length, 0);
+        Assert.assertEqual(result.filename, "stored.html");
+
+        const denied = await createFusion();
+        denied.loadFileHandle = async () =>
+          createHandle("stored.html", saved, "denied");
+        await denied.saveToFile("notes.html");
+
+        Assert.assertArrayEqual(picks, ["notes.html"]);
+      });
+    });
+
+    runner.test("should pick again when the saved file is gone", async () => {
+      await withPicker(async ({ picks }) => {
+        const fusion = await createFusion();
+        fusion.fileHandle = {
+          name: "moved.html",
+          createWritable: async () => {
+            throw new DOMException("File not found", "NotFoundError");
+          },
+        };
+
+        const result = await fusion.saveToFile("notes.html");
+
+        Assert.assertArrayEqual(picks, ["notes.html"]);
+        Assert.assertFalse(result.reusedHandle);
+        Assert.assertEqual(fusion.fileHandle.name, "notes.html");
+      });
+    });
+
+    runner.test("should not write later saves to a commit file", async () => {
+      await withPicker(async ({ picks }) => {
+        const fusion = await createFusion();
+        await fusion.saveToFile("notes.html");
+
+        await fusion.commit("First version", { filename: "notes.v1.html" });
+
+        Assert.assertArrayEqual(picks, ["notes.html", "notes.v1.html"]);
+        Assert.assertEqual(fusion.fileHandle.name, "notes.html");
+      });
+    });
+  });
+
+  // ==========================================
+  // Password Rotation Tests
+  // ==========================================
+
+  runner.describe("Password Rotation", () => {
+    // Encrypted database with an IndexedDB copy on the old password
+    async function createFusion() {
+      const fusion = new HTMLSQLiteFusion({
+        storageKey: "rotate-password-test",
+        kdf: { iterations: 1000 },
+      });
+      await fusion.createDatabase("CREATE TABLE items (id INTEGER)");
+      fusion.run("INSERT INTO items VALUES (1)");
+      fusion.changePassword("old-secret");
+      await fusion.persistToStorage();
+      return fusion;
+    }
+
+    async function cleanup(fusion) {
+      await fusion.clearStorage();
+      await fusion.forgetFileHandle();
+    }
+
+    runner.test("should re-encrypt the stored copy and the file", async () => {
+      const fusion = await createFusion();
+      const saved = [];
+      const restore = stubFilePicker(saved);
+
+      try {
+        const result = await fusion.rotatePassword("old-secret", "new-secret");
+
+        Assert.assertArrayEqual(result.updated, ["storage", "file"]);
+        Assert.assertTrue(result.save.passwordChanged);
+
+        const record = await fusion.getStoredRecord(fusion.getStorageKey());
+        const stored = fusion.base64ToUint8Array(record.data);
+        await fusion.decryptData(stored, "new-secret");
+        await Assert.assertThrowsAsync(
+          () => fusion.decryptData(stored, "old-secret"),
+          "Decryption failed"
+        );
+
+        const file = fusion.extractEmbeddedData(saved[0].content);
+        await fusion.decryptData(
+          fusion.base64ToUint8Array(file.data),
+          "new-secret"
+        );
+      } finally {
+        restore();
+        await cleanup(fusion);
+      }
+    });
+
+    runner.test("should reject an incorrect old password", async () => {
+      const fusion = await createFusion();
+      const saved = [];
+      const restore = stubFilePicker(saved);
+
+      try {
+        await Assert.assertThrowsAsync(
+          () => fusion.rotatePassword("wrong", "new-secret"),
+          "old password is incorrect"
+        );
+
+        Assert.assertEqual(saved.length, 0);
+        Assert.assertEqual(fusion.currentPassword, "old-secret");
+      } finally {
+        restore();
+        await cleanup(fusion);
+      }
+    });
+
+    runner.test("should keep the recovery code working", async () => {
+      const fusion = await createFusion();
+      const code = await fusion.createRecoveryCode();
+      await fusion.persistToStorage();
+      const restore = stubFilePicker([]);
+
+      try {
+        await fusion.rotatePassword("old-secret", "new-secret");
+
+        const record = await fusion.getStoredRecord(fusion.getStorageKey());
+        const reader = new HTMLSQLiteFusion();
+        reader.recoveryKey = await reader.parseRecoveryCode(code);
+        await reader.decryptData(fusion.base64ToUint8Array(record.data));
+        Assert.assertTrue(reader.hasRecoveryCode());
+      } finally {
+        restore();
+        await cleanup(fusion);
+      }
+    });
+
+    runner.test("should report a cancelled file save", async () => {
+      const fusion = await createFusion();
+      const restore = stubFilePicker([], true);
+      let changed = 0;
+      fusion.on("password-changed", () => changed++);
+
+      try {
+        const result = await fusion.rotatePassword("old-secret", "new-secret");
+
+        Assert.assertArrayEqual(result.updated, ["storage"]);
+        Assert.assertTrue(result.save.cancelled);
+        Assert.assertEqual(fusion.currentPassword, "new-secret");
+        Assert.assertEqual(changed, 1);
+      } finally {
+        restore();
+        await cleanup(fusion);
+      }
+    });
+
+    runner.test("should report a file save that failed", async () => {
+      const fusion = await createFusion();
+      const original = window.showSaveFilePicker;
+      window.showSaveFilePicker = async () => ({
+        createWritable: async () => {
+          throw new DOMException("Disk full", "QuotaExceededError");
+        },
+      });
+
+      try {
+        const error = await fusion
+          .rotatePassword("old-secret", "new-secret")
+          .then(
+            () => null,
+            (err) => err
+          );
+
+        Assert.assertNotNull(error);
+        Assert.assertContains(error.message, "IndexedDB copy only");
+        Assert.assertArrayEqual(error.updated, ["storage"]);
+        Assert.assertEqual(fusion.currentPassword, "new-secret");
+      } finally {
+        if (original) {
+          window.showSaveFilePicker = original;
+        } else {
+          delete window.showSaveFilePicker;
+        }
+        await cleanup(fusion);
+      }
+    });
+
+    runner.test("should check the password against every copy", async () => {
+      const fusion = await createFusion();
+      const embedded = document.getElementById("embedded-db");
+      const original = embedded.textContent;
+
+      try {
+        // The IndexedDB copy does not open with it, the embedded one does
+        fusion.currentPassword = "other-secret";
+        await fusion.persistToStorage();
+        fusion.currentPassword = "old-secret";
+        embedded.textContent = fusion.uint8ArrayToBase64(
+          await fusion.encryptData(fusion.exportDatabase(), "old-secret")
+        );
+
+        Assert.assertTrue(await fusion.checkPassword("old-secret"));
+        Assert.assertTrue(await fusion.checkPassword("other-secret"));
+        Assert.assertFalse(await fusion.checkPassword("wrong"));
+      } finally {
+        embedded.textContent = original;
+        await cleanup(fusion);
+      }
+    });
+  });
+
+  // ==========================================
+  // Import Tests
+  // ==========================================
+
+  runner.describe("Import", () => {
+    // HTML of another MemoryFile with one items row
+    async function createHtmlFile(
+      value,
+      { password = null, metadata = null } = {}
+    ) {
+      const source = new HTMLSQLiteFusion({ encrypted: false });
+      await source.createDatabase("CREATE TABLE items (value TEXT)");
+      source.run("INSERT INTO items VALUES (?)", [value]);
+
+      let data = source.exportDatabase();
+      if (password) {
+        data = await source.encryptData(data, password);
+      }
+      source.close();
+
+      const metadataBlock = metadata
+        ? `<script id="commit-metadata" type="application/json">${JSON.stringify(
+            metadata
+          )}</script>`
+        : "";
+      return `<html><body>${metadataBlock}<script id="embedded-db" type="application/x-sqlite3">${source.uint8ArrayToBase64(
+        data
+      )}</script></body></html>`;
+    }
+
+    async function createFusion() {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        persistToStorage: false,
+      });
+      await fusion.createDatabase("CREATE TABLE items (value TEXT)");
+      fusion.run("INSERT INTO items VALUES ('mine')");
+      return fusion;
+    }
+
+    runner.test("should replace the database with the file's", async () => {
+      const fusion = await createFusion();
+      fusion.fileHandle = { name: "mine.html" };
+      let loaded = null;
+      fusion.on("load", (detail) => (loaded = detail));
+
+      const html = await createHtmlFile("theirs", {
+        metadata: { commitHash: "c0ffee" },
+      });
+      const result = await fusion.importFromHtmlFile(html);
+
+      Assert.assertEqual(result.commitMetadata.commitHash, "c0ffee");
+      Assert.assertEqual(fusion.getCommitMetadata().commitHash, "c0ffee");
+      Assert.assertArrayEqual(
+        fusion.exec("SELECT value FROM items").map((row) => row.value),
+        ["theirs"]
+      );
+      Assert.assertEqual(loaded.source, "import");
+      Assert.assertNull(fusion.fileHandle, "Saves should ask for a new file");
+      Assert.assertTrue(fusion.isDirty());
+    });
+
+    runner.test("should decrypt an encrypted file", async () => {
+      const fusion = await createFusion();
+      const html = await createHtmlFile("secret", { password: "colleague" });
+
+      await Assert.assertThrowsAsync(
+        () => fusion.importFromHtmlFile(html),
+        "Password required"
+      );
+
+      await fusion.importFromHtmlFile(html, { password: "colleague" });
+      Assert.assertEqual(
+        fusion.exec("SELECT value FROM items")[0].value,
+        "secret"
+      );
+      Assert.assertEqual(fusion.currentPassword, "colleague");
+    });
+
+    runner.test(
+      "should attach the file next to the current database",
+      async () => {
+        const fusion = await createFusion();
+        const html = await createHtmlFile("theirs");
+
+        const result = await fusion.importFromHtmlFile(html, {
+          mode: "attach",
+          name: "colleague",
+        });
+        Assert.assertEqual(result.name, "colleague");
+
+        const query = `
+        SELECT value FROM main.items
+        UNION ALL SELECT value FROM colleague.items
+      `;
+        Assert.assertArrayEqual(
+          fusion.exec(query).map((row) => row.value),
+          ["mine", "theirs"]
+        );
+
+        // Exporting reopens the database, the attachment must survive
+        fusion.exportDatabase();
+        Assert.assertEqual(fusion.exec(query).length, 2);
+
+        fusion.detachDatabase("colleague");
+        Assert.assertThrows(() => fusion.exec(query), "no such table");
+      }
+    );
+
+    runner.test(
+      "should keep attached databases after restoring a version",
+      async () => {
+        const saved = [];
+        const restore = stubFilePicker(saved);
+        try {
+          const fusion = await createFusion();
+          await fusion.importFromHtmlFile(await createHtmlFile("theirs"), {
+            mode: "attach",
+            name: "colleague",
+          });
+          const first = await fusion.commit("First");
+          fusion.run("INSERT INTO items VALUES ('later')");
+          await fusion.commit("Second");
+
+          await fusion.restoreVersion(saved[0].content, {
+            commitHash: first.commit.commitHash,
+          });
+
+          Assert.assertEqual(
+            fusion.exec("SELECT value FROM colleague.items")[0].value,
+            "theirs"
+          );
+          Assert.assertEqual(fusion.exec("SELECT * FROM main.items").length, 1);
+        } finally {
+          restore();
+        }
+      }
+    );
+
+    runner.test("should reject invalid attach names", async () => {
+      const fusion = await createFusion();
+      const html = await createHtmlFile("theirs");
+
+      await Assert.assertThrowsAsync(
+        () => fusion.importFromHtmlFile(html, { mode: "attach", name: "main" }),
+        "Invalid database name"
+      );
+      await Assert.assertThrowsAsync(
+        () =>
+          fusion.importFromHtmlFile(html, { mode: "attach", name: "a; DROP" }),
+        "Invalid database name"
+      );
+
+      await fusion.importFromHtmlFile(html, { mode: "attach", name: "other" });
+      await Assert.assertThrowsAsync(
+        () =>
+          fusion.importFromHtmlFile(html, { mode: "attach", name: "other" }),
+        "already attached"
+      );
+    });
+  });
+
+  // ==========================================
+  // Embedded Databases Tests
+  // ==========================================
+
+  runner.describe("Embedded Databases", () => {
+    // Base64 database with one table, encoded by a MemoryFile with options
+    async function encodeTable(table, values, options = {}, password = null) {
+      const source = new HTMLSQLiteFusion({ encrypted: false, ...options });
+      await source.createDatabase(`CREATE TABLE ${table} (value TEXT)`);
+      for (const value of values) {
+        source.run(`INSERT INTO ${table} VALUES (?)`, [value]);
+      }
+
+      let data = source.exportDatabase();
+      if (options.compression) {
+        data = await source.compress(data);
+      }
+      if (password) {
+        data = await source.encryptData(data, password);
+      }
+      source.close();
+      return source.uint8ArrayToBase64(data);
+    }
+
+    // Fill the main tag and add an embedded-db-settings tag for the callback
+    async function withSettingsTag(settingsData, callback) {
+      const main = document.getElementById("embedded-db");
+      const original = main.textContent;
+      main.textContent = await encodeTable("notes", ["main note"]);
+
+      const tag = document.createElement("script");
+      tag.id = "embedded-db-settings";
+      tag.type = "application/x-sqlite3";
+      tag.textContent = settingsData;
+      main.after(tag);
+
+      try {
+        await callback();
+      } finally {
+        main.textContent = original;
+        tag.remove();
+      }
+    }
+
+    // Data of a script tag in saved HTML
+    function readTag(html, id) {
+      const match = html.match(
+        new RegExp(`<script[^>]*id="${id}"[^>]*>([\\s\\S]*?)<\\/script>`)
+      );
+      return match[1].trim();
+    }
+
+    async function saveHtml(fusion) {
+      const saved = [];
+      const restore = stubFilePicker(saved);
+      try {
+        await fusion.saveAs("app.html");
+      } finally {
+        restore();
+      }
+      return saved[0].content;
+    }
+
+    runner.test(
+      "should attach named databases for cross-database queries",
+      async () => {
+        const settings = await encodeTable("prefs", ["dark"], {
+          compression: true,
+        });
+        await withSettingsTag(settings, async () => {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            persistToStorage: false,
+            databases: { settings: { compression: true } },
+          });
+          await fusion.loadEmbeddedDatabase();
+
+          const rows = fusion.exec(`
+          SELECT notes.value AS note, prefs.value AS theme
+          FROM main.notes, settings.prefs
+        `);
+          Assert.assertEqual(rows[0].note, "main note");
+          Assert.assertEqual(rows[0].theme, "dark");
+        });
+      }
+    );
+
+    runner.test("should save each database into its own tag", async () => {
+      const settings = await encodeTable("prefs", ["dark"], {}, "settings-pw");
+      await withSettingsTag(settings, async () => {
+        const fusion = new HTMLSQLiteFusion({
+          encrypted: false,
+          persistToStorage: false,
+          databases: {
+            settings: { encrypted: true, password: "settings-pw" },
+          },
+        });
+        await fusion.loadEmbeddedDatabase();
+        fusion.run("INSERT INTO settings.prefs VALUES ('compact')");
+
+        const html = await saveHtml(fusion);
+        const mainData = fusion.base64ToUint8Array(
+          readTag(html, "embedded-db")
+        );
+        const settingsData = readTag(html, "embedded-db-settings");
+
+        Assert.assertFalse(fusion.isEncryptedData(mainData));
+        Assert.assertTrue(
+          fusion.isEncryptedData(fusion.base64ToUint8Array(settingsData))
+        );
+
+        const db = new fusion.sqlJS.Database(
+          await fusion.decodeDatabase(settingsData, "settings-pw")
+        );
+        Assert.assertEqual(
+          db.exec("SELECT value FROM prefs")[0].values.length,
+          2
+        );
+        db.close();
+      });
+    });
+
+    runner.test("should restore named databases from IndexedDB", async () => {
+      const settings = await encodeTable("prefs", ["dark"]);
+      await withSettingsTag(settings, async () => {
+        const options = {
+          encrypted: false,
+          storageKey: "embedded-databases-test",
+          databases: { settings: {} },
+        };
+        const first = new HTMLSQLiteFusion(options);
+        await first.loadEmbeddedDatabase();
+        first.run("UPDATE settings.prefs SET value = 'light'");
+        await first.persistToStorage();
+        first.close();
+
+        const second = new HTMLSQLiteFusion(options);
+        await second.loadEmbeddedDatabase();
+        Assert.assertEqual(
+          second.exec("SELECT value FROM settings.prefs")[0].value,
+          "light"
+        );
+        Assert.assertThrows(
+          () => second.detachDatabase("settings"),
+          "embedded in this file"
+        );
+        await second.clearStorage();
+      });
+    });
+
+    runner.test("should require a tag for each named database", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        persistToStorage: false,
+        databases: { missing: {} },
+      });
+
+      await Assert.assertThrowsAsync(
+        () => fusion.loadEmbeddedDatabase(),
+        "embedded-db-missing"
+      );
+    });
+  });
+
+  // ==========================================
+  // CSV Tests
+  // ==========================================
+
+  runner.describe("CSV", () => {
+    async function createFusion(schema = null) {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase(schema);
+      return fusion;
+    }
+
+    runner.test("should create a table with inferred types", async () => {
+      const fusion = await createFusion();
+      const csv =
+        "\uFEFFname,age,score,zip\r\n" +
+        "Ada,36,9.5,02134\r\n" +
+        '"Lovelace, Ada","",7,10001\r\n' +
+        '"Says ""hi""\nand bye",41,,\r\n';
+
+      const result = await fusion.importCSV("people", csv);
+
+      Assert.assertTrue(result.created);
+      Assert.assertEqual(result.rows, 3);
+      Assert.assertArrayEqual(
+        fusion.getTableSchema("people").map((column) => column.type),
+        ["TEXT", "INTEGER", "REAL", "TEXT"]
+      );
+
+      const rows = fusion.exec("SELECT * FROM people ORDER BY rowid");
+      Assert.assertEqual(rows[0].zip, "02134");
+      Assert.assertEqual(rows[1].name, "Lovelace, Ada");
+      Assert.assertNull(rows[1].age);
+      Assert.assertEqual(rows[2].name, 'Says "hi"\nand bye');
+      Assert.assertEqual(rows[2].age, 41);
+    });
+
+    runner.test("should parse rows split across chunks", () => {
+      const parser = HTMLSQLiteFusion.createCSVParser();
+      const text = 'a,"b\r\nc",""""\r\n1,2,3';
+      const rows = [];
+      for (const char of text) {
+        rows.push(...parser.push(char));
+      }
+      rows.push(...parser.flush());
+
+      Assert.assertEqual(rows.length, 2);
+      Assert.assertArrayEqual(rows[0], ["a", "b\r\nc", '"']);
+      Assert.assertArrayEqual(rows[1], ["1", "2", "3"]);
+    });
+
+    runner.test("should insert in chunks and report progress", async () => {
+      const fusion = await createFusion();
+      const lines = ["id,label"];
+      for (let i = 1; i <= 25; i++) {
+        lines.push(`${i},row ${i}`);
+      }
+
+      const progress = [];
+      await fusion.importCSV("items", lines.join("\n"), {
+        chunkSize: 10,
+        onProgress: (update) => progress.push(update.rows),
+      });
+
+      Assert.assertArrayEqual(progress, [10, 20, 25]);
+      Assert.assertEqual(
+        fusion.exec("SELECT COUNT(*) AS n FROM items")[0].n,
+        25
+      );
+    });
+
+    runner.test("should roll back the whole import on error", async () => {
+      const fusion = await createFusion(
+        "CREATE TABLE items (id INTEGER, label TEXT NOT NULL)"
+      );
+      const csv = "1,one\n2,two\n3,\n";
+
+      await Assert.assertThrowsAsync(
+        () => fusion.importCSV("items", csv, { header: false, chunkSize: 2 }),
+        "NOT NULL"
+      );
+      Assert.assertEqual(
+        fusion.exec("SELECT COUNT(*) AS n FROM items")[0].n,
+        0
+      );
+
+      await Assert.assertThrowsAsync(
+        () => fusion.importCSV("missing", csv, { createTable: false }),
+        "Table not found"
+      );
+    });
+
+    runner.test("should reject other writes while importing", async () => {
+      const fusion = await createFusion(
+        "CREATE TABLE items (id INTEGER, label TEXT NOT NULL)"
+      );
+      fusion.db.run("CREATE TABLE notes (body TEXT)");
+      const csv = "1,one\n2,two\n3,\n";
+
+      const importing = fusion.importCSV("items", csv, {
+        header: false,
+        chunkSize: 2,
+      });
+      Assert.assertThrows(
+        () => fusion.run("INSERT INTO notes VALUES ('typed meanwhile')"),
+        "Cannot write while importCSV() is running"
+      );
+      await Assert.assertThrowsAsync(() => importing, "NOT NULL");
+
+      fusion.run("INSERT INTO notes VALUES ('after')");
+      Assert.assertEqual(
+        fusion.exec("SELECT COUNT(*) AS n FROM notes")[0].n,
+        1
+      );
+    });
+
+    runner.test("should import a file into an existing table", async () => {
+      const fusion = await createFusion(
+        "CREATE TABLE items (id INTEGER PRIMARY KEY, label TEXT)"
+      );
+      const file = new Blob(["label,id\nfirst,1\nsecond,2\n"], {
+        type: "text/csv",
+      });
+
+      const result = await fusion.importCSV("items", file, {
+        types: { label: "TEXT" },
+      });
+
+      Assert.assertFalse(result.created);
+      Assert.assertArrayEqual(result.columns, ["label", "id"]);
+      Assert.assertEqual(
+        fusion.exec("SELECT label FROM items WHERE id = 2")[0].label,
+        "second"
+      );
+    });
+
+    runner.test("should export tables and queries", async () => {
+      const fusion = await createFusion(
+        "CREATE TABLE items (id INTEGER, label TEXT, data BLOB)"
+      );
+      fusion.run("INSERT INTO items VALUES (1, 'plain', NULL)");
+      fusion.run(
+        "INSERT INTO items VALUES (2, 'with, comma \"quoted\"', x'0102')"
+      );
+
+      Assert.assertEqual(
+        fusion.exportCSV("items"),
+        "id,label,data\r\n" +
+          "1,plain,\r\n" +
+          '2,"with, comma ""quoted""",AQI=\r\n'
+      );
+      Assert.assertEqual(
+        fusion.exportCSV("SELECT label FROM items WHERE id = ?", {
+          params: [1],
+          header: false,
+        }),
+        "plain\r\n"
+      );
+
+      // Round trip through importCSV
+      await fusion.importCSV("copy", fusion.exportCSV("items"));
+      Assert.assertEqual(
+        fusion.exec("SELECT label FROM copy WHERE id = 2")[0].label,
+        'with, comma "quoted"'
+      );
+    });
+  });
+
+  // ==========================================
+  // JSON Tests
+  // ==========================================
+
+  runner.describe("JSON", () => {
+    async function createSource() {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase(`
+        CREATE TABLE notes (id INTEGER PRIMARY KEY, title TEXT, data BLOB);
+        CREATE TABLE log (note_id INTEGER, action TEXT);
+        CREATE INDEX idx_notes_title ON notes(title);
+        CREATE TRIGGER notes_log AFTER INSERT ON notes
+        BEGIN
+          INSERT INTO log VALUES (NEW.id, 'insert');
+        END;
+      `);
+      fusion.run("INSERT INTO notes VALUES (1, 'First', x'00ff')");
+      fusion.run("INSERT INTO notes VALUES (2, 'Second', NULL)");
+      fusion.setVersion(3);
+      return fusion;
+    }
+
+    async function createTarget() {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase();
+      return fusion;
+    }
+
+    runner.test("should export schema and rows", async () => {
+      const source = await createSource();
+      const dump = source.exportJSON();
+
+      Assert.assertEqual(dump.userVersion, 3);
+      Assert.assertArrayEqual(
+        dump.schema.map((entry) => entry.name),
+        ["notes", "log", "idx_notes_title", "notes_log"]
+      );
+      Assert.assertEqual(dump.schema[0].columns[1].name, "title");
+      Assert.assertEqual(
+        JSON.stringify(dump.tables.notes[0]),
+        '{"id":1,"title":"First","data":{"$blob":"AP8="}}'
+      );
+      Assert.assertEqual(dump.tables.log.length, 2);
+    });
+
+    runner.test("should recreate the database from JSON text", async () => {
+      const source = await createSource();
+      const target = await createTarget();
+
+      const result = await target.importJSON(
+        JSON.stringify(source.exportJSON(), null, 2)
+      );
+
+      Assert.assertArrayEqual(result.tables, ["notes", "log"]);
+      Assert.assertEqual(result.rows, 4);
+      Assert.assertEqual(target.getVersion(), 3);
+      Assert.assertArrayEqual(
+        Array.from(target.exec("SELECT data FROM notes WHERE id = 1")[0].data),
+        [0, 255]
+      );
+      // Trigger is created after the rows, so it did not log them twice
+      Assert.assertEqual(target.exec("SELECT COUNT(*) AS n FROM log")[0].n, 2);
+      target.run("INSERT INTO notes (title) VALUES ('Third')");
+      Assert.assertEqual(target.exec("SELECT COUNT(*) AS n FROM log")[0].n, 3);
+    });
+
+    runner.test("should only replace existing tables when asked", async () => {
+      const source = await createSource();
+      const dump = source.exportJSON();
+      const target = await createSource();
+      target.run("INSERT INTO notes VALUES (9, 'Local', NULL)");
+
+      await Assert.assertThrowsAsync(
+        () => target.importJSON(dump),
+        "Table already exists: notes"
+      );
+      Assert.assertEqual(
+        target.exec("SELECT COUNT(*) AS n FROM notes")[0].n,
+        3
+      );
+
+      await target.importJSON(dump, { replace: true });
+      Assert.assertEqual(
+        target.exec("SELECT COUNT(*) AS n FROM notes")[0].n,
+        2
+      );
+    });
+
+    runner.test("should round trip through NDJSON", async () => {
+      const source = await createSource();
+      const target = await createTarget();
+      const ndjson = source.exportNDJSON();
+      const lines = ndjson
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+
+      Assert.assertEqual(lines[0].format, "memoryfile-ndjson");
+      Assert.assertEqual(lines[1].schema.name, "notes");
+      Assert.assertEqual(lines[lines.length - 1].type, "row");
+
+      const progress = [];
+      const result = await target.importNDJSON(
+        new Blob([ndjson], { type: "application/x-ndjson" }),
+        { onProgress: (update) => progress.push(update) }
+      );
+
+      Assert.assertEqual(result.rows, 4);
+      Assert.assertTrue(progress.length > 0);
+      Assert.assertEqual(
+        JSON.stringify(target.exportJSON()),
+        JSON.stringify(source.exportJSON())
+      );
+    });
+
+    runner.test("should roll back an invalid NDJSON import", async () => {
+      const source = await createSource();
+      const target = await createTarget();
+      const broken = source.exportNDJSON() + "{not json\n";
+
+      await Assert.assertThrowsAsync(
+        () => target.importNDJSON(broken),
+        "Invalid JSON on line 10"
+      );
+      Assert.assertArrayEqual(target.getTables(), []);
+    });
+
+    runner.test(
+      "should check the NDJSON header after blank lines",
+      async () => {
+        const target = await createTarget();
+        const rows =
+          '\n{"type":"schema","schema":{"type":"table","name":"t","sql":"CREATE TABLE t (x)"}}\n' +
+          '{"type":"row","table":"t","row":{"x":1}}\n';
+
+        await Assert.assertThrowsAsync(
+          () => target.importNDJSON(rows),
+          "Not a MemoryFile NDJSON export"
+        );
+        await Assert.assertThrowsAsync(
+          () => target.importNDJSON("\n\n"),
+          "Not a MemoryFile NDJSON export"
+        );
+        Assert.assertArrayEqual(target.getTables(), []);
+
+        const source = await createSource();
+        await target.importNDJSON("\n" + source.exportNDJSON());
+        Assert.assertTrue(target.getTables().includes("notes"));
+      }
+    );
+
+    runner.test("should reject other writes during NDJSON import", async () => {
+      const source = await createSource();
+      const target = await createTarget();
+
+      const importing = target.importNDJSON(source.exportNDJSON());
+      await Assert.assertThrowsAsync(
+        () => target.transaction((tx) => tx.run("CREATE TABLE tags (name)")),
+        "Cannot write while importNDJSON() is running"
+      );
+      await importing;
+
+      Assert.assertFalse(target.getTables().includes("tags"));
+      await target.transaction((tx) => tx.run("CREATE TABLE tags (name)"));
+      Assert.assertTrue(target.getTables().includes("tags"));
+    });
+  });
+
+  // ==========================================
+  // SQL Dump Tests
+  // ==========================================
+
+  runner.describe("SQL Dump", () => {
+    async function createSource() {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase(`
+        CREATE TABLE items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT,
+          score REAL,
+          data BLOB
+        );
+        CREATE INDEX idx_items_label ON items(label);
+      `);
+      fusion.run("INSERT INTO items VALUES (1, 'it''s', 2.0, x'00ff')");
+      fusion.run("INSERT INTO items VALUES (2, NULL, 1.5, NULL)");
+      fusion.run("DELETE FROM items WHERE id = 2");
+      fusion.run("INSERT INTO items (label) VALUES ('line\nbreak')");
+      fusion.setVersion(2);
+      return fusion;
+    }
+
+    async function createTarget() {
+      const fusion = new HTMLSQLiteFusion({ persistToStorage: false });
+      await fusion.createDatabase();
+      return fusion;
+    }
+
+    runner.test(
+      "should write CREATE and quoted INSERT statements",
+      async () => {
+        const source = await createSource();
+        const sql = source.exportSQL();
+
+        Assert.assertTrue(sql.startsWith("-- MemoryFile SQL dump\n"));
+        Assert.assertTrue(sql.includes("CREATE TABLE items ("));
+        Assert.assertTrue(
+          sql.includes(
+            `INSERT INTO "items" ("id", "label", "score", "data") VALUES (1,'it''s',2.0,X'00FF');`
+          )
+        );
+        Assert.assertTrue(
+          sql.includes("INSERT INTO sqlite_sequence VALUES ('items', 3);")
+        );
+        Assert.assertTrue(
+          sql.includes("CREATE INDEX idx_items_label ON items(label);")
+        );
+        Assert.assertTrue(sql.trim().endsWith("PRAGMA user_version = 2;"));
+      }
+    );
+
+    runner.test("should restore the dump exactly", async () => {
+      const source = await createSource();
+      const target = await createTarget();
+
+      await target.importSQL(source.exportSQL());
+
+      Assert.assertEqual(
+        JSON.stringify(target.exportJSON()),
+        JSON.stringify(source.exportJSON())
+      );
+      Assert.assertEqual(
+        target.exec("SELECT typeof(score) AS type FROM items WHERE id = 1")[0]
+          .type,
+        "real"
+      );
+      target.run("INSERT INTO items (label) VALUES ('next')");
+      Assert.assertEqual(
+        target.exec("SELECT MAX(id) AS id FROM items")[0].id,
+        4,
+        "AUTOINCREMENT should not reuse deleted ids"
+      );
+    });
+
+    runner.test(
+      "should accept sqlite3 dumps and roll back on error",
+      async () => {
+        const target = await createTarget();
+
+        await target.importSQL(
+          "PRAGMA foreign_keys=OFF;\nBEGIN TRANSACTION;\n" +
+            "CREATE TABLE t (x);\nINSERT INTO t VALUES (1);\nCOMMIT;\n"
+        );
+        Assert.assertEqual(target.exec("SELECT x FROM t")[0].x, 1);
+
+        await Assert.assertThrowsAsync(
+          () =>
+            target.importSQL(
+              "CREATE TABLE u (y);\nINSERT INTO u VALUES (1);\nINSERT INTO missing VALUES (1);"
+            ),
+          "SQL import failed"
+        );
+        Assert.assertArrayEqual(target.getTables(), ["t"]);
+      }
+    );
+  });
+
+  // ==========================================
+  // Load Conflict Tests
+  // ==========================================
+
+  runner.describe("Load Conflicts", () => {
+    // Replace the page's embedded database with a stamped version
+    async function embedVersion(value, savedAt) {
+      const source = new HTMLSQLiteFusion({ encrypted: false });
+      await source.createDatabase("CREATE TABLE items (value TEXT)");
+      source.run("INSERT INTO items VALUES (?)", [value]);
+
+      const embedded = document.getElementById("embedded-db");
+      embedded.textContent = source.uint8ArrayToBase64(source.exportDatabase());
+      embedded.setAttribute("data-saved-at", savedAt);
+      source.close();
+    }
+
+    async function loadValues(options) {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        storageKey: "load-conflict-test",
+        ...options,
+      });
+      let loaded = null;
+      fusion.on("load", (detail) => (loaded = detail));
+      await fusion.loadEmbeddedDatabase();
+      const values = fusion.exec("SELECT value FROM items").map((r) => r.value);
+      return { fusion, loaded, values };
+    }
+
+    // Store a local edit of the file saved at savedAt in IndexedDB
+    async function storeLocalCopy(savedAt) {
+      await embedVersion("file", savedAt);
+      const { fusion } = await loadValues();
+      fusion.run("INSERT INTO items VALUES ('local')");
+      await fusion.persistToStorage();
+      fusion.close();
+    }
+
+    async function withEmbedded(callback) {
+      const embedded = document.getElementById("embedded-db");
+      const original = embedded.textContent;
+      try {
+        await callback();
+      } finally {
+        embedded.textContent = original;
+        embedded.removeAttribute("data-saved-at");
+        await new HTMLSQLiteFusion({
+          storageKey: "load-conflict-test",
+        }).clearStorage();
+      }
+    }
+
+    runner.test("should stamp the saved file with its version", async () => {
+      const fusion = new HTMLSQLiteFusion({
+        encrypted: false,
+        persistToStorage: false,
+      });
+      await fusion.createDatabase();
+      fusion.commitMetadata = { commitHash: "abc123" };
+
+      const saved = [];
+      const restore = stubFilePicker(saved);
+      try {
+        await fusion.saveToFile("stamped.html");
+      } finally {
+        restore();
+      }
+
+      const stamps = saved[0].content.match(/data-saved-at="([^"]+)"/g);
+      Assert.assertEqual(stamps.length, 1);
+      Assert.assertTrue(saved[0].content.includes('data-commit="abc123"'));
+      Assert.assertTrue(
+        stamps[0].includes(fusion.embeddedVersion.savedAt),
+        "Later IndexedDB copies should be based on the saved file"
+      );
+    });
+
+    runner.test(
+      "should not report a conflict when reopening the saved file",
+      async () => {
+        await withEmbedded(async () => {
+          const fusion = new HTMLSQLiteFusion({
+            encrypted: false,
+            storageKey: "load-conflict-test",
+            persistToStorage: true,
+          });
+          await fusion.createDatabase("CREATE TABLE items (value TEXT)");
+          fusion.run("INSERT INTO items VALUES ('saved')");
+
+          const saved = [];
+          const restore = stubFilePicker(saved);
+          try {
+            await fusion.saveToFile("saved.html");
+          } finally {
+            restore();
+          }
+          fusion.close();
+
+          const tag = new DOMParser()
+            .parseFromString(saved[0].content, "text/html")
+            .getElementById("embedded-db");
+          const embedded = document.getElementById("embedded-db");
+          embedded.textContent = tag.textContent;
+          embedded.setAttribute("data-saved-at", tag.dataset.savedAt);
+
+          const { fusion: reopened, values } = await loadValues({
+            onConflict: "prompt",
+          });
+          Assert.assertNull(reopened.loadConflict);
+          Assert.assertArrayEqual(values, ["saved"]);
+        });
+      }
+    );
+
+    runner.test(
+      "should keep the IndexedDB copy edited from this file",
+      async () => {
+        await withEmbedded(async () => {
+          await storeLocalCopy("2020-01-01T00:00:00.000Z");
+
+          const { loaded, values } = await loadValues();
+          Assert.assertEqual(loaded.source, "storage");
+          Assert.assertNull(loaded.conflict);
+          Assert.assertArrayEqual(values, ["file", "local"]);
+        });
+      }
+    );
+
+    runner.test("should load whichever copy is newer by default", async () => {
+      await withEmbedded(async () => {
+        await storeLocalCopy("2020-01-01T00:00:00.000Z");
+
+        await embedVersion("updated", "2999-01-01T00:00:00.000Z");
+        const newerFile = await loadValues();
+        Assert.assertEqual(newerFile.loaded.source, "embedded");
+        Assert.assertEqual(newerFile.loaded.conflict.resolution, "embedded");
+        Assert.assertArrayEqual(newerFile.values, ["updated"]);
+
+        await embedVersion("updated", "2021-01-01T00:00:00.000Z");
+        const olderFile = await loadValues();
+        Assert.assertEqual(olderFile.loaded.source, "storage");
+        Assert.assertEqual(olderFile.loaded.conflict.strategy, "prefer-newer");
+        Assert.assertArrayEqual(olderFile.values, ["file", "local"]);
+      });
+    });
+
+    runner.test("should apply the onConflict strategy", async () => {
+      await withEmbedded(async () => {
+        await storeLocalCopy("2020-01-01T00:00:00.000Z");
+        await embedVersion("updated", "2021-01-01T00:00:00.000Z");
+
+        const preferEmbedded = await loadValues({
+          onConflict: "prefer-embedded",
+        });
+        Assert.assertArrayEqual(preferEmbedded.values, ["updated"]);
+
+        let info = null;
+        const custom = await loadValues({
+          onConflict: (conflict) => {
+            info = conflict;
+            return "storage";
+          },
+        });
+        Assert.assertEqual(info.embedded.savedAt, "2021-01-01T00:00:00.000Z");
+        Assert.assertEqual(
+          info.storage.basedOn.savedAt,
+          "2020-01-01T00:00:00.000Z"
+        );
+        Assert.assertArrayEqual(custom.values, ["file", "local"]);
+
+        await Assert.assertThrowsAsync(
+          () => loadValues({ onConflict: "newest" }),
+          "Unknown onConflict strategy"
+        );
+      });
+    });
   });
 
   // ==========================================
@@ -1,70 +1,136 @@
 #!/usr/bin/env node
 /**
- * Build Script: Create inline WASM version
- * 
- * Converts sql-wasm.wasm to base64 and embeds it directly in sql-wasm.js
+ * Build Script: Create inline WASM versions
+ *
+ * Converts each WASM file to base64 and embeds it directly in its loader:
+ *   sql-wasm.wasm -> sql-wasm-inline.js (SQLite)
+ *   argon2.wasm   -> argon2-inline.js   (Argon2id key derivation)
  * This allows files to work with file:// protocol (no HTTP server needed)
- * 
- * Trade-off: +800KB per file, but achieves true "no server needed" portability
+ *
+ * Trade-off: +800KB per file for SQLite, +35KB for Argon2id,
+ * but achieves true "no server needed" portability
+ *
+ * The inline files are generated, edit the loaders and rebuild.
+ * --check only reports inline files that are out of date.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-const WASM_FILE = path.join(__dirname, 'lib', 'sql-wasm.wasm');
-const JS_FILE = path.join(__dirname, 'lib', 'sql-wasm.js');
-const OUTPUT_FILE = path.join(__dirname, 'lib', 'sql-wasm-inline.js');
-
-console.log('🔨 Building inline WASM version...\n');
-
-// Read WASM file
-console.log(`📖 Reading WASM file: ${WASM_FILE}`);
-const wasmBuffer = fs.readFileSync(WASM_FILE);
-const wasmSize = wasmBuffer.length;
-console.log(`   Size: ${(wasmSize / 1024).toFixed(2)} KB`);
-
-// Convert to base64
-console.log('\n🔄 Converting to base64...');
-const wasmBase64 = wasmBuffer.toString('base64');
-const base64Size = wasmBase64.length;
-console.log(`   Base64 size: ${(base64Size / 1024).toFixed(2)} KB`);
-console.log(`   Overhead: ${((base64Size / wasmSize - 1) * 100).toFixed(1)}%`);
-
-// Read JS file
-console.log(`\n📖 Reading JS file: ${JS_FILE}`);
-const jsContent = fs.readFileSync(JS_FILE, 'utf8');
-
-// Create data URI
-const dataURI = `data:application/octet-stream;base64,${wasmBase64}`;
-
-// Replace the WASM filename with data URI
-// The pattern we're looking for: M="sql-wasm.wasm"
-console.log('\n🔧 Patching JS file...');
-const patchedJS = jsContent.replace(
-  /M="sql-wasm\.wasm"/g,
-  `M="${dataURI}"`
-);
-
-if (patchedJS === jsContent) {
-  console.error('❌ ERROR: Could not find pattern to replace');
-  console.error('   Looking for: M="sql-wasm.wasm"');
-  process.exit(1);
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+
+// pattern finds the WASM filename in the loader, replace puts the data URI in.
+// sha256 pins a vendored binary to its upstream release, see docs/INLINE_WASM.md
+const TARGETS = [
+  {
+    wasm: 'sql-wasm.wasm',
+    js: 'sql-wasm.js',
+    output: 'sql-wasm-inline.js',
+    pattern: /M="sql-wasm\.wasm"/g,
+    replace: (dataURI) => `M="${dataURI}"`,
+  },
+  {
+    wasm: 'argon2.wasm',
+    js: 'argon2.js',
+    output: 'argon2-inline.js',
+    sha256: '0c2149886c13e4eae4a6ca25ee71d47423c5c8740a874cf04ff816d1b2c901d7',
+    pattern: /const ARGON2_WASM_FILE = "argon2\.wasm";/g,
+    replace: (dataURI) => `const ARGON2_WASM_FILE = "${dataURI}";`,
+  },
+];
+
+const CHECK_ONLY = process.argv.includes('--check');
+
+function generateInline(target) {
+  const wasmBuffer = fs.readFileSync(path.join(LIB_DIR, target.wasm));
+
+  if (target.sha256) {
+    const digest = crypto.createHash('sha256').update(wasmBuffer).digest('hex');
+    if (digest !== target.sha256) {
+      console.error(`❌ ERROR: ${target.wasm} does not match its pinned SHA-256`);
+      console.error(`   Expected: ${target.sha256}`);
+      console.error(`   Actual:   ${digest}`);
+      process.exit(1);
+    }
+  }
+
+  const jsContent = fs.readFileSync(path.join(LIB_DIR, target.js), 'utf8');
+  const dataURI = `data:application/octet-stream;base64,${wasmBuffer.toString('base64')}`;
+  const patchedJS = jsContent.replace(target.pattern, target.replace(dataURI));
+
+  if (patchedJS === jsContent) {
+    console.error('❌ ERROR: Could not find pattern to replace');
+    console.error(`   Looking for: ${target.pattern.source}`);
+    process.exit(1);
+  }
+
+  return patchedJS;
+}
+
+function checkInline(target) {
+  const outputFile = path.join(LIB_DIR, target.output);
+  const current = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : null;
+
+  if (current !== generateInline(target)) {
+    console.error(`❌ ${target.output} is out of date, run: node tools/build-inline-wasm.js`);
+    return false;
+  }
+  console.log(`✅ ${target.output} matches ${target.js} and ${target.wasm}`);
+  return true;
 }
 
-// Write output file
-console.log(`\n💾 Writing output: ${OUTPUT_FILE}`);
-fs.writeFileSync(OUTPUT_FILE, patchedJS, 'utf8');
-
-const outputSize = patchedJS.length;
-console.log(`   Output size: ${(outputSize / 1024).toFixed(2)} KB`);
-
-// Summary
-console.log('\n✅ Build complete!\n');
-console.log('Summary:');
-console.log(`  Original WASM: ${(wasmSize / 1024).toFixed(2)} KB`);
-console.log(`  Inline JS:     ${(outputSize / 1024).toFixed(2)} KB`);
-console.log(`  Overhead:      +${((outputSize - jsContent.length) / 1024).toFixed(2)} KB per file`);
-console.log('\nUsage:');
-console.log('  Replace: <script src="lib/sql-wasm.js"></script>');
-console.log('  With:    <script src="lib/sql-wasm-inline.js"></script>');
-console.log('\nBenefit: Works with file:// protocol (no HTTP server needed!)');
+function buildInline(target) {
+  const wasmFile = path.join(LIB_DIR, target.wasm);
+  const jsFile = path.join(LIB_DIR, target.js);
+  const outputFile = path.join(LIB_DIR, target.output);
+
+  console.log(`🔨 Building inline WASM version of ${target.js}...\n`);
+
+  // Read WASM file
+  console.log(`📖 Reading WASM file: ${wasmFile}`);
+  const wasmBuffer = fs.readFileSync(wasmFile);
+  const wasmSize = wasmBuffer.length;
+  console.log(`   Size: ${(wasmSize / 1024).toFixed(2)} KB`);
+
+  // Convert to base64
+  console.log('\n🔄 Converting to base64...');
+  const wasmBase64 = wasmBuffer.toString('base64');
+  const base64Size = wasmBase64.length;
+  console.log(`   Base64 size: ${(base64Size / 1024).toFixed(2)} KB`);
+  console.log(`   Overhead: ${((base64Size / wasmSize - 1) * 100).toFixed(1)}%`);
+
+  // Read JS file
+  console.log(`\n📖 Reading JS file: ${jsFile}`);
+  const jsContent = fs.readFileSync(jsFile, 'utf8');
+
+  // Replace the WASM filename with data URI
+  console.log('\n🔧 Patching JS file...');
+  const patchedJS = generateInline(target);
+
+  // Write output file
+  console.log(`\n💾 Writing output: ${outputFile}`);
+  fs.writeFileSync(outputFile, patchedJS, 'utf8');
+
+  const outputSize = patchedJS.length;
+  console.log(`   Output size: ${(outputSize / 1024).toFixed(2)} KB`);
+
+  // Summary
+  console.log('\n✅ Build complete!\n');
+  console.log('Summary:');
+  console.log(`  Original WASM: ${(wasmSize / 1024).toFixed(2)} KB`);
+  console.log(`  Inline JS:     ${(outputSize / 1024).toFixed(2)} KB`);
+  console.log(`  Overhead:      +${((outputSize - jsContent.length) / 1024).toFixed(2)} KB per file`);
+  console.log('\nUsage:');
+  console.log(`  Replace: <script src="lib/${target.js}"></script>`);
+  console.log(`  With:    <script src="lib/${target.output}"></script>\n`);
+}
+
+if (CHECK_ONLY) {
+  const results = TARGETS.map(checkInline);
+  process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+TARGETS.forEach(buildInline);
+
+console.log('Benefit: Works with file:// protocol (no HTTP server needed!)');
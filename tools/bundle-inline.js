@@ -60,6 +60,17 @@ html = html.replace(scriptPattern, `<script>
 ${sqlWasmInlineJs}
 </script>`);
 
+// Argon2id key derivation, for apps that encrypt with it
+const argon2Pattern = /<script\s+src=["'][^"']*argon2-inline\.js["'][^>]*><\/script>/gi;
+if (argon2Pattern.test(html)) {
+  argon2Pattern.lastIndex = 0;
+  const argon2InlineJs = fs.readFileSync(path.join(__dirname, '../lib/argon2-inline.js'), 'utf8');
+  html = html.replace(argon2Pattern, () => `<script>
+// === Argon2 with embedded WASM (bundled for true portability) ===
+${argon2InlineJs}
+</script>`);
+}
+
 // Also fix any locateFile references that point to ../lib/
 // When bundled, we don't need locateFile at all
 // The inline WASM is embedded, so locateFile is unnecessary
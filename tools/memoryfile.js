@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+/**
+ * MemoryFile CLI
+ *
+ * Inspects, extracts, builds and verifies MemoryFile HTML files without a
+ * browser.
+ * Parsing, decryption (PBKDF2 or Argon2id + AES-GCM) and queries use the same code as
+ * the browser library: lib/html-sqlite-core.js and sql.js run in Node.
+ *
+ * Usage: node tools/memoryfile.js <command> <file.html> [options]
+ * Run without arguments for the list of commands.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MemoryFile = require('../lib/html-sqlite-core.js');
+const TrustManager = require('../lib/trust-manager.js');
+const Argon2 = require('../lib/argon2.js');
+const initSqlJs = require('../lib/sql-wasm.js');
+
+const USAGE = `Usage: memoryfile <command> <file.html> [options]
+       memoryfile pack <template.html> <database.sqlite> [options]
+       memoryfile verify <file.html>... [options]
+
+Commands:
+  info                   Size, encryption, compression and commit of the file
+  tables                 Tables with row counts
+  query "<sql>"          Run a query and print the rows
+  extract                Write the database as a .sqlite file
+  commit-info            Current commit and the commit history
+  pack                   Embed a .sqlite file in an app template as a new commit
+  verify                 Check files against the content hash in their names
+
+Options:
+  --password <password>  Password for encrypted files (or MEMORYFILE_PASSWORD,
+                         otherwise you are asked for it)
+  --recovery-code <code> Open an encrypted file with its recovery code instead
+  --out <path>           extract: output file (default <file>.sqlite)
+                         pack: output directory (default current directory)
+  --format <format>      query: table, csv or json (default table)
+                         verify: text or json (default text)
+
+Pack options:
+  --compress             Gzip the database
+  --encrypt              Encrypt the database (with --password, or
+                         MEMORYFILE_PASSWORD, otherwise you are asked for it)
+  --message <message>    Commit message (default "Pack <database.sqlite>")
+  --author <author>      Commit author
+  --type <type>          Commit type
+  --basename <name>      Filename base (default template name)
+  --kdf <name>           PBKDF2 or Argon2id (default PBKDF2)
+  --iterations <count>   KDF iterations (default 100000 for PBKDF2, 3 for Argon2id,
+                         PBKDF2 needs at least 100000)
+  --memory <KiB>         Argon2id memory cost (default 65536)
+  --encryption-version <version>
+                         1 for apps that cannot read version 2 (default 2)
+
+Verify options:
+  --exclude <selectors>  Comma separated selectors left out of the hash
+                         (default: the TrustManager excludeSelectors)
+
+Exit codes: 0 success, 1 error, 2 usage, 3 verify found a TAMPERED file,
+4 verify found a file without a hash in its name`;
+
+const EXIT_TAMPERED = 3;
+const EXIT_UNVERIFIED = 4;
+
+/**
+ * MemoryFile with Node replacements for the browser-only parts
+ */
+class NodeMemoryFile extends MemoryFile {
+  async initSQL() {
+    if (!this.sqlJS) {
+      this.sqlJS = await initSqlJs({
+        locateFile: (file) => path.join(__dirname, '..', 'lib', file),
+      });
+    }
+    return this.sqlJS;
+  }
+
+  async initArgon2() {
+    if (!this.argon2) {
+      this.argon2 = await Argon2.load({
+        wasmBinary: fs.readFileSync(path.join(__dirname, '..', 'lib', 'argon2.wasm')),
+      });
+    }
+    return this.argon2;
+  }
+
+  // zlib gzip is byte compatible with pako.gzip
+  async compress(data) {
+    return new Uint8Array(zlib.gzipSync(data));
+  }
+
+  async decompress(data) {
+    return new Uint8Array(zlib.gunzipSync(data));
+  }
+}
+
+/**
+ * Split argv into positionals and --options
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[name] = true;
+      } else {
+        options[name] = next;
+        i++;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Read a password from the terminal without echoing it
+ */
+function promptPassword(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+      reject(new Error('Password required: pass --password or set MEMORYFILE_PASSWORD'));
+      return;
+    }
+
+    process.stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.setEncoding('utf8');
+
+    let password = '';
+    const onData = (input) => {
+      for (const char of input) {
+        if (char === '\r' || char === '\n') {
+          done();
+          resolve(password);
+          return;
+        }
+        if (char === '\u0003') {
+          done();
+          reject(new Error('Cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') {
+          password = password.slice(0, -1);
+        } else {
+          password += char;
+        }
+      }
+    };
+    const done = () => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    };
+
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Open the embedded database of a MemoryFile HTML file
+ * @returns {Promise<Object>} { mf, html, commitMetadata, encrypted, compressed, data, db }
+ *   data is the plain SQLite file, mf has db and commitMetadata set
+ */
+async function openFile(file, options) {
+  if (!file) {
+    throw new Error('Missing file argument');
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`);
+  }
+
+  const mf = new NodeMemoryFile();
+  await mf.initSQL();
+
+  const html = fs.readFileSync(file, 'utf8');
+  const embedded = mf.extractEmbeddedData(html);
+  if (embedded.data === null) {
+    throw new Error(`No embedded database found with id: ${mf.options.embedId}`);
+  }
+
+  let data = embedded.data ? mf.base64ToUint8Array(embedded.data) : new Uint8Array(0);
+  const encrypted = mf.isEncryptedData(data);
+
+  if (encrypted && typeof options['recovery-code'] === 'string') {
+    mf.recoveryKey = await mf.parseRecoveryCode(options['recovery-code']);
+    data = await mf.decryptData(data);
+  } else if (encrypted) {
+    data = await mf.decryptData(data, await getPassword(options));
+  }
+
+  // gzip magic bytes
+  const compressed = data[0] === 0x1f && data[1] === 0x8b;
+  if (compressed) {
+    data = await mf.decompress(data);
+  }
+
+  mf.db = data.length ? new mf.sqlJS.Database(data) : new mf.sqlJS.Database();
+  mf.commitMetadata = embedded.commitMetadata;
+
+  return {
+    mf,
+    html,
+    commitMetadata: embedded.commitMetadata,
+    encrypted,
+    compressed,
+    data,
+    db: mf.db,
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Print rows as aligned columns
+ */
+function printTable(columns, rows) {
+  const cell = (value) => {
+    if (value === null) return 'NULL';
+    if (value instanceof Uint8Array) return `<blob ${value.length} bytes>`;
+    return String(value).replace(/\r?\n/g, '\\n');
+  };
+  const cells = rows.map((row) => row.map(cell));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((row) => row[i].length))
+  );
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map((width) => '-'.repeat(width))));
+  cells.forEach((row) => console.log(line(row)));
+}
+
+/**
+ * TrustManager.normalizeHTML() hashes the DOMParser serialization in the
+ * browser and falls back to regexes without one. Node has no DOMParser, so
+ * jsdom provides it and hashes match the ones computed in the page.
+ */
+function createTrustManager(config = {}) {
+  if (typeof DOMParser === 'undefined') {
+    let JSDOM;
+    try {
+      ({ JSDOM } = require('jsdom'));
+    } catch (error) {
+      throw new Error('Content hashes need jsdom: run npm install in the memoryfile directory');
+    }
+    global.DOMParser = new JSDOM('').window.DOMParser;
+  }
+
+  return new TrustManager({ ...config, autoVerify: false, showBadge: false });
+}
+
+/**
+ * Build the kdf constructor option from --kdf, --iterations and --memory
+ */
+function getKdfOption(options) {
+  const kdf = {};
+  if (typeof options.kdf === 'string') {
+    const name = ['PBKDF2', 'Argon2id'].find((known) => known.toLowerCase() === options.kdf.toLowerCase());
+    if (!name) {
+      throw new Error(`Unknown KDF: ${options.kdf} (use PBKDF2 or Argon2id)`);
+    }
+    kdf.name = name;
+  }
+  if (options.iterations !== undefined) {
+    kdf.iterations = Number(options.iterations);
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1) {
+      throw new Error(`Invalid --iterations: ${options.iterations}`);
+    }
+    // Never write a weaker PBKDF2 key than the library does by default
+    if (kdf.name !== 'Argon2id' && kdf.iterations < 100000) {
+      throw new Error(`PBKDF2 needs at least 100,000 iterations, got ${kdf.iterations}`);
+    }
+  }
+  if (options.memory !== undefined) {
+    kdf.memory = Number(options.memory);
+  }
+  return Object.keys(kdf).length > 0 ? kdf : null;
+}
+
+/**
+ * Resolve the password for an encrypted file or for encrypting one
+ */
+async function getPassword(options) {
+  if (typeof options.password === 'string') {
+    return options.password;
+  }
+  return process.env.MEMORYFILE_PASSWORD || promptPassword('Password: ');
+}
+
+const commands = {
+  async info(args, options) {
+    const file = args[0];
+    const opened = await openFile(file, options);
+    const { mf, commitMetadata } = opened;
+
+    console.log(`File:        ${file}`);
+    console.log(`Size:        ${formatBytes(fs.statSync(file).size)}`);
+    console.log(`Database:    ${formatBytes(opened.data.length)}`);
+    const encryption = mf.getEncryptionMetadata();
+    const kdf = encryption && encryption.kdf && `, ${encryption.kdf} ${TrustManager.formatKdfParameters(encryption)}`;
+    console.log(
+      `Encrypted:   ${opened.encrypted ? `yes (v${encryption.version}, ${encryption.algorithm}${kdf || ''})` : 'no'}`
+    );
+    if (encryption && encryption.recipients) {
+      console.log(`Recipients:  ${TrustManager.formatRecipients(encryption.recipients)}`);
+      console.log(`Recovery:    ${encryption.recovery ? 'yes' : 'no'}`);
+    }
+    console.log(`Compressed:  ${opened.compressed ? 'yes (gzip)' : 'no'}`);
+    console.log(`Tables:      ${mf.getTables().length}`);
+    console.log(`Version:     ${mf.getVersion()}`);
+    console.log(
+      `Commit:      ${
+        commitMetadata ? `${commitMetadata.commitHash} ${commitMetadata.commitMessage || ''}`.trim() : 'none'
+      }`
+    );
+    mf.close();
+  },
+
+  async tables(args, options) {
+    const { mf } = await openFile(args[0], options);
+    const rows = mf.getTables().map((table) => [
+      table,
+      mf.exec(`SELECT COUNT(*) AS count FROM ${MemoryFile.quoteIdentifier(table)}`)[0].count,
+    ]);
+    printTable(['table', 'rows'], rows);
+    mf.close();
+  },
+
+  async query(args, options) {
+    const [file, sql] = args;
+    if (!sql) {
+      throw new Error('Missing SQL argument: memoryfile query <file.html> "<sql>"');
+    }
+
+    const { mf } = await openFile(file, options);
+    const format = options.format || 'table';
+
+    if (format === 'csv') {
+      process.stdout.write(mf.exportCSV(sql));
+    } else if (format === 'json') {
+      const rows = mf.exec(sql).map((row) => {
+        for (const [column, value] of Object.entries(row)) {
+          if (value instanceof Uint8Array) {
+            row[column] = { $blob: mf.uint8ArrayToBase64(value) };
+          }
+        }
+        return row;
+      });
+      console.log(JSON.stringify(rows, null, 2));
+    } else if (format === 'table') {
+      const result = mf.db.exec(sql);
+      if (result.length === 0) {
+        console.log('(no rows)');
+      } else {
+        const { columns, values } = result[result.length - 1];
+        printTable(columns, values);
+      }
+    } else {
+      throw new Error(`Unknown format: ${format}`);
+    }
+    mf.close();
+  },
+
+  async extract(args, options) {
+    const file = args[0];
+    const opened = await openFile(file, options);
+    const out =
+      typeof options.out === 'string'
+        ? options.out
+        : path.join(path.dirname(file), `${path.basename(file, '.html')}.sqlite`);
+
+    // Export instead of the embedded bytes, an empty tag becomes a valid file
+    fs.writeFileSync(out, opened.mf.exportDatabase());
+    console.log(`Wrote ${out} (${formatBytes(fs.statSync(out).size)})`);
+    opened.mf.close();
+  },
+
+  async 'commit-info'(args, options) {
+    const { mf, commitMetadata } = await openFile(args[0], options);
+
+    if (!commitMetadata) {
+      console.log('No commits yet');
+      mf.close();
+      return;
+    }
+
+    const fields = [
+      ['Commit', commitMetadata.commitHash],
+      ['Parent', commitMetadata.parentHash || 'none'],
+      ['Message', commitMetadata.commitMessage],
+      ['Author', commitMetadata.commitAuthor],
+      ['Date', commitMetadata.commitDate],
+      ['Type', commitMetadata.commitType],
+      ['App', commitMetadata.appVersion],
+    ];
+    for (const [label, value] of fields) {
+      if (value) {
+        console.log(`${`${label}:`.padEnd(9)}${value}`);
+      }
+    }
+
+    const history = mf.getCommitChain();
+    if (history.length > 0) {
+      console.log('');
+      printTable(
+        ['commit', 'date', 'message'],
+        history.map((commit) => [commit.commitHash, commit.commitDate, commit.commitMessage])
+      );
+    }
+    mf.close();
+  },
+
+  /**
+   * Same steps as commit() in the browser: the commit hash covers the database
+   * before its commit_history row, then the file is named after its content
+   */
+  async pack(args, options) {
+    const [templateFile, databaseFile] = args;
+    if (!templateFile || !databaseFile) {
+      throw new Error('Missing arguments: memoryfile pack <template.html> <database.sqlite>');
+    }
+    for (const file of [templateFile, databaseFile]) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+      }
+    }
+    const trustManager = createTrustManager();
+
+    const mf = new NodeMemoryFile({
+      encryptionVersion: options['encryption-version'] ? Number(options['encryption-version']) : 2,
+      kdf: getKdfOption(options),
+    });
+    await mf.initSQL();
+
+    const template = fs.readFileSync(templateFile, 'utf8');
+    const embedded = mf.extractEmbeddedData(template);
+    if (embedded.data === null) {
+      throw new Error(`No embedded database found with id: ${mf.options.embedId}`);
+    }
+
+    try {
+      mf.db = new mf.sqlJS.Database(fs.readFileSync(databaseFile));
+      mf.getTables();
+    } catch (error) {
+      throw new Error(`Not a SQLite database: ${databaseFile} (${error.message})`);
+    }
+
+    // A template saved from an app continues its commit chain
+    const parentHash = embedded.commitMetadata?.commitHash || null;
+    const basename =
+      typeof options.basename === 'string'
+        ? options.basename
+        : embedded.commitMetadata?.basename ||
+          path
+            .basename(templateFile)
+            .replace(/\.html?$/i, '')
+            .replace(/\.[a-f0-9]{6,64}$/i, '');
+
+    const dbBytes = mf.exportDatabase();
+    const metadata = {
+      commitHash: await mf.generateCommitHash(dbBytes, parentHash),
+      parentHash,
+      commitMessage:
+        typeof options.message === 'string' ? options.message : `Pack ${path.basename(databaseFile)}`,
+      commitAuthor: typeof options.author === 'string' ? options.author : null,
+      commitDate: new Date().toISOString(),
+      appVersion: embedded.commitMetadata?.appVersion || mf.options.appVersion,
+      commitType: typeof options.type === 'string' ? options.type : null,
+      basename,
+    };
+    mf.commitMetadata = metadata;
+    mf.recordCommit(metadata, await mf.digestHex(dbBytes));
+
+    let data = mf.exportDatabase();
+    if (options.compress) {
+      data = await mf.compress(data);
+    }
+    if (options.encrypt || typeof options.password === 'string') {
+      data = await mf.encryptData(data, await getPassword(options));
+    }
+
+    const html = mf.injectDatabase(template, mf.uint8ArrayToBase64(data), {
+      savedAt: metadata.commitDate,
+      commitHash: metadata.commitHash,
+    });
+    mf.close();
+
+    const filename = await trustManager.generateCommitFilename(basename, html);
+    const outDir = typeof options.out === 'string' ? options.out : '.';
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const out = path.join(outDir, filename);
+    fs.writeFileSync(out, html);
+    console.log(`Wrote ${out} (${formatBytes(Buffer.byteLength(html))})`);
+    console.log(`Commit ${metadata.commitHash} ${metadata.commitMessage}`);
+  },
+
+  /**
+   * Headless TrustManager.verify(): the file on disk is hashed instead of
+   * the loaded page, with the same normalization and excluded selectors
+   */
+  async verify(args, options) {
+    if (args.length === 0) {
+      throw new Error('Missing file argument');
+    }
+
+    const config = {};
+    if (typeof options.exclude === 'string') {
+      config.excludeSelectors = options.exclude
+        .split(',')
+        .map((selector) => selector.trim())
+        .filter(Boolean);
+    }
+    const trustManager = createTrustManager(config);
+    const format = options.format || 'text';
+    if (format !== 'text' && format !== 'json') {
+      throw new Error(`Unknown format: ${format}`);
+    }
+
+    const results = [];
+    for (const file of args) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+      }
+      const result = await trustManager.verifyContent(path.basename(file), fs.readFileSync(file, 'utf8'));
+      results.push({ file, ...result });
+
+      if (format === 'text') {
+        const detail = {
+          VERIFIED: `hash ${result.hash}`,
+          TAMPERED: `expected ${result.expected}, content hashes to ${result.actual}`,
+          UNVERIFIED: result.reason,
+        }[result.status];
+        console.log(`${result.status.padEnd(10)}  ${file}  (${detail})`);
+      }
+    }
+
+    if (format === 'json') {
+      console.log(JSON.stringify(results, null, 2));
+    }
+
+    if (results.some((result) => result.status === 'TAMPERED')) {
+      process.exitCode = EXIT_TAMPERED;
+    } else if (results.some((result) => result.status !== 'VERIFIED')) {
+      process.exitCode = EXIT_UNVERIFIED;
+    }
+  },
+};
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+
+  if (!command || options.help) {
+    console.log(USAGE);
+    process.exit(command ? 0 : 2);
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  await commands[command](args, options);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { NodeMemoryFile, openFile, parseArgs };